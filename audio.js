@@ -0,0 +1,223 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readInputFile } from "./input-files.js";
+
+// Helpers for the audio API: reading input recordings for transcription and
+// the voices and formats text-to-speech accepts.
+
+export const DEFAULT_AUDIO_OUTPUT_DIR = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "audio"
+);
+
+// The transcription endpoint's upload limit
+export const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+export const TRANSCRIPTION_FORMATS = [
+  "text",
+  "json",
+  "verbose_json",
+  "srt",
+  "vtt",
+];
+
+// The gpt-4o transcription models only return plain text or JSON and do not
+// report timestamps; whisper-1 supports every format
+const TEXT_ONLY_TRANSCRIPTION = /^gpt-4o(-mini)?-transcribe/;
+
+export const TIMESTAMP_GRANULARITIES = ["word", "segment"];
+
+// Check the output format and timestamp options against the model. Word or
+// segment timestamps are only reported in verbose_json.
+export function validateTranscriptionParams(model, { format, granularities }) {
+  if (!TRANSCRIPTION_FORMATS.includes(format)) {
+    throw new Error(
+      `format must be one of ${TRANSCRIPTION_FORMATS.join(", ")}`
+    );
+  }
+  if (
+    TEXT_ONLY_TRANSCRIPTION.test(model) &&
+    !["text", "json"].includes(format)
+  ) {
+    throw new Error(`${model} only supports the text and json formats`);
+  }
+  if (granularities === undefined) return;
+
+  if (
+    !Array.isArray(granularities) ||
+    granularities.some((value) => !TIMESTAMP_GRANULARITIES.includes(value))
+  ) {
+    throw new Error(
+      `timestamp_granularities must be a list of ${TIMESTAMP_GRANULARITIES.join(", ")}`
+    );
+  }
+  if (granularities.length > 0 && format !== "verbose_json") {
+    throw new Error("timestamp_granularities requires the verbose_json format");
+  }
+}
+
+// Transcriptions are always requested as JSON, whose usage or duration is
+// what the usage ledger prices them by; whisper-1 is asked for verbose_json,
+// which has the length and the segments to render text, srt and vtt from
+export function transcriptionRequestFormat(model) {
+  return TEXT_ONLY_TRANSCRIPTION.test(model) ? "json" : "verbose_json";
+}
+
+// A time in seconds as a subtitle timestamp, with "," (srt) or "." (vtt)
+// before the milliseconds
+function subtitleTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Turn a JSON transcription into the format the caller asked for. text, srt
+// and vtt come back as { text } with the language, duration and usage kept
+// for the result's metadata.
+export function formatTranscription(data, format) {
+  if (format === "verbose_json") return data;
+  if (format === "json") {
+    return data.usage
+      ? { text: data.text, usage: data.usage }
+      : { text: data.text };
+  }
+
+  let text = data.text;
+  if (format === "srt" || format === "vtt") {
+    const segments = data.segments?.length
+      ? data.segments
+      : [{ start: 0, end: data.duration || 0, text: data.text }];
+    const separator = format === "srt" ? "," : ".";
+    const cues = segments.map((segment, index) => {
+      const timing = `${subtitleTime(segment.start, separator)} --> ${subtitleTime(segment.end, separator)}`;
+      const cue = `${timing}\n${segment.text.trim()}`;
+      return format === "srt" ? `${index + 1}\n${cue}` : cue;
+    });
+    text = `${format === "vtt" ? "WEBVTT\n\n" : ""}${cues.join("\n\n")}\n`;
+  }
+  return {
+    text,
+    language: data.language,
+    duration: data.duration,
+    usage: data.usage,
+  };
+}
+
+export const TTS_VOICES = [
+  "alloy",
+  "ash",
+  "ballad",
+  "coral",
+  "echo",
+  "fable",
+  "nova",
+  "onyx",
+  "sage",
+  "shimmer",
+  "verse",
+];
+
+// Output formats and the MIME types of the audio they produce. pcm is raw
+// 16-bit little-endian samples at 24 kHz.
+export const TTS_FORMATS = {
+  mp3: "audio/mpeg",
+  opus: "audio/ogg",
+  aac: "audio/aac",
+  flac: "audio/flac",
+  wav: "audio/wav",
+  pcm: "audio/pcm",
+};
+
+export const MAX_TTS_INPUT = 4096;
+
+// Recognized input containers by file extension
+const AUDIO_EXTENSIONS = {
+  flac: "audio/flac",
+  m4a: "audio/mp4",
+  mp3: "audio/mpeg",
+  mp4: "audio/mp4",
+  mpeg: "audio/mpeg",
+  mpga: "audio/mpeg",
+  oga: "audio/ogg",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  webm: "audio/webm",
+};
+
+// Identify base64 audio from its first bytes, as an extension
+function sniffAudioType(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "wav";
+  if (ascii(0, 4) === "OggS") return "ogg";
+  if (ascii(0, 4) === "fLaC") return "flac";
+  if (ascii(4, 8) === "ftyp") return "m4a";
+  if (buffer.subarray(0, 4).equals(Buffer.from("1a45dfa3", "hex"))) {
+    return "webm";
+  }
+  if (ascii(0, 3) === "ID3" || (buffer[0] === 0xff && buffer[1] >= 0xe0)) {
+    return "mp3";
+  }
+  return undefined;
+}
+
+// Read a recording given as a file path, a data: URL or raw base64. The API
+// infers the format from the file name, so one with the right extension is
+// returned alongside the bytes. Paths are only read when the input file
+// policy allows them.
+export function readInputAudio(value, inputFiles) {
+  if (typeof value !== "string" || value === "") {
+    throw new Error("audio must be a file path, data: URL or base64 string");
+  }
+
+  let buffer;
+  let extension;
+  let file;
+  const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(value);
+  if (dataUrl) {
+    buffer = Buffer.from(dataUrl[2], "base64");
+    extension = Object.keys(AUDIO_EXTENSIONS).find(
+      (ext) => AUDIO_EXTENSIONS[ext] === dataUrl[1]
+    );
+  } else if ((file = inputFiles?.resolve(value))) {
+    buffer = readInputFile(file, MAX_AUDIO_BYTES, "audio");
+    extension = path.extname(file).slice(1).toLowerCase();
+  } else if (/^[A-Za-z0-9+/=\s]+$/.test(value)) {
+    buffer = Buffer.from(value, "base64");
+  } else {
+    throw new Error(
+      inputFiles?.allowAny
+        ? `audio: file not found: ${value}`
+        : "audio: must be a data: URL or base64 (set INPUT_FILES_DIR to read files)"
+    );
+  }
+
+  if (!AUDIO_EXTENSIONS[extension]) extension = sniffAudioType(buffer);
+  if (!extension) {
+    throw new Error(
+      `audio: unsupported format (expected ${Object.keys(AUDIO_EXTENSIONS).join(", ")})`
+    );
+  }
+  if (buffer.length > MAX_AUDIO_BYTES) {
+    throw new Error(
+      `audio: file is ${buffer.length} bytes; the API accepts at most ${MAX_AUDIO_BYTES}`
+    );
+  }
+
+  return {
+    buffer,
+    type: AUDIO_EXTENSIONS[extension],
+    filename: `audio.${extension}`,
+  };
+}
+
+// Write generated speech to the output directory and return its path
+export async function saveAudio(dir, buffer, format) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = path.join(dir, `${stamp}-speech.${format}`);
+  await fs.promises.writeFile(file, buffer);
+  return file;
+}
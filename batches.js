@@ -0,0 +1,166 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { withLock, writeFileAtomic } from "./file-store.js";
+
+// Local records of Batch API jobs. Each job is stored as <batch id>.json in
+// the batches directory with the endpoint, provider, input file and last
+// known status, so jobs can still be polled and collected after a restart.
+// Downloaded results are kept beside it as <batch id>.results.jsonl.
+
+const BATCH_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const DEFAULT_BATCHES_DIR = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "batches"
+);
+
+// Batchable tools and the API paths their requests go to
+export const BATCH_ENDPOINTS = {
+  chatCompletion: "/v1/chat/completions",
+  createEmbedding: "/v1/embeddings",
+};
+
+// Batch requests are billed at half the standard price
+export const BATCH_DISCOUNT = 0.5;
+
+// Tool arguments handled by this server rather than the API, left out of
+// the request bodies
+export const SERVER_ONLY_PARAMS = [
+  "custom_id",
+  "provider",
+  "stream",
+  "stream_options",
+  "bypass_cache",
+  "validation_retries",
+];
+
+// Limits of the Batch API for one input file
+export const MAX_BATCH_REQUESTS = 50000;
+export const MAX_BATCH_INPUT_BYTES = 200 * 1024 * 1024;
+
+// Statuses after which a batch no longer changes
+export const FINAL_STATUSES = ["completed", "failed", "expired", "cancelled"];
+
+function batchPath(dir, id, suffix = ".json") {
+  if (!BATCH_ID.test(id || "")) {
+    throw new Error(`Invalid batch id: ${id}`);
+  }
+  return path.join(dir, `${id}${suffix}`);
+}
+
+// Build the JSONL input file. Each request gets a custom_id, either its own
+// or its position ("request-1", ...), which must be unique.
+export function buildBatchInput(url, requests) {
+  if (!Array.isArray(requests) || requests.length === 0) {
+    throw new Error("requests must be a non-empty array");
+  }
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new Error(
+      `A batch holds at most ${MAX_BATCH_REQUESTS} requests, got ${requests.length}`
+    );
+  }
+
+  const seen = new Set();
+  const lines = requests.map(({ custom_id, body }, index) => {
+    const id = custom_id === undefined ? `request-${index + 1}` : custom_id;
+    if (typeof id !== "string" || id === "") {
+      throw new Error(
+        `requests[${index}].custom_id must be a non-empty string`
+      );
+    }
+    if (seen.has(id)) {
+      throw new Error(`Duplicate custom_id: ${id}`);
+    }
+    seen.add(id);
+    return JSON.stringify({ custom_id: id, method: "POST", url, body });
+  });
+
+  const text = `${lines.join("\n")}\n`;
+  if (Buffer.byteLength(text) > MAX_BATCH_INPUT_BYTES) {
+    throw new Error(
+      `Batch input is ${Buffer.byteLength(text)} bytes; the API accepts at most ${MAX_BATCH_INPUT_BYTES}`
+    );
+  }
+  return { text, customIds: [...seen] };
+}
+
+// Parse an output or error file into results keyed by custom_id
+export function parseBatchOutput(text) {
+  const results = {};
+  for (const line of (text || "").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    results[entry.custom_id] = {
+      status_code: entry.response?.status_code,
+      body: entry.response?.body,
+      error: entry.error || entry.response?.body?.error || undefined,
+    };
+  }
+  return results;
+}
+
+export async function getBatch(dir, id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(batchPath(dir, id), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Batch not found: ${id}`);
+    }
+    throw error;
+  }
+}
+
+export async function saveBatch(dir, record) {
+  await writeFileAtomic(
+    batchPath(dir, record.id),
+    JSON.stringify(record, null, 2)
+  );
+  return record;
+}
+
+// Merge changes into a stored record. Updates to one record are serialized
+// so a poll and a results download cannot overwrite each other.
+export function updateBatch(dir, id, changes) {
+  return withLock(batchPath(dir, id), async () => {
+    const record = { ...(await getBatch(dir, id)), ...changes };
+    record.updated = new Date().toISOString();
+    return saveBatch(dir, record);
+  });
+}
+
+// Stored records, most recently created first
+export async function listBatches(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const file of files) {
+    if (!file.endsWith(".json")) continue;
+    records.push(await getBatch(dir, file.slice(0, -5)));
+  }
+  return records.sort((a, b) => b.created.localeCompare(a.created));
+}
+
+export async function saveBatchResults(dir, id, text) {
+  await writeFileAtomic(batchPath(dir, id, ".results.jsonl"), text);
+}
+
+// Previously downloaded results, or undefined if there are none yet
+export async function readBatchResults(dir, id) {
+  try {
+    return await fs.promises.readFile(
+      batchPath(dir, id, ".results.jsonl"),
+      "utf8"
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return undefined;
+    throw error;
+  }
+}
@@ -0,0 +1,179 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { withLock, writeFileAtomic } from "./file-store.js";
+
+// Server-side conversations for multi-turn chat. Each conversation is stored
+// as one JSON file in the conversations directory, holding its settings
+// (system prompt, model and parameters) and the full transcript, so clients
+// can continue a dialogue by id alone.
+
+const CONVERSATION_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const DEFAULT_CONVERSATIONS_DIR = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "conversations"
+);
+
+function conversationPath(dir, id) {
+  if (!CONVERSATION_ID.test(id || "")) {
+    throw new Error(`Invalid conversation id: ${id}`);
+  }
+  return path.join(dir, `${id}.json`);
+}
+
+async function readConversation(dir, id) {
+  try {
+    return JSON.parse(
+      await fs.promises.readFile(conversationPath(dir, id), "utf8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    throw error;
+  }
+}
+
+async function writeConversation(dir, conversation) {
+  await writeFileAtomic(
+    conversationPath(dir, conversation.id),
+    JSON.stringify(conversation, null, 2)
+  );
+}
+
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    model: conversation.model,
+    provider: conversation.provider,
+    forked_from: conversation.forked_from,
+    created: conversation.created,
+    updated: conversation.updated,
+    messages: conversation.messages.length,
+    usage: conversation.usage,
+  };
+}
+
+// The messages to send upstream: the system prompt followed by the transcript
+export function conversationMessages(conversation) {
+  return conversation.system
+    ? [
+        { role: "system", content: conversation.system },
+        ...conversation.messages,
+      ]
+    : [...conversation.messages];
+}
+
+export async function createConversation(dir, options) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: `conv_${randomUUID()}`,
+    title: options.title || "",
+    system: options.system,
+    model: options.model,
+    provider: options.provider,
+    temperature: options.temperature,
+    max_tokens: options.max_tokens,
+    created: now,
+    updated: now,
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    messages: [],
+  };
+
+  await writeConversation(dir, conversation);
+  return conversation;
+}
+
+export async function listConversations(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const conversations = [];
+  for (const file of files.filter((f) => f.endsWith(".json"))) {
+    conversations.push(
+      summarize(await readConversation(dir, file.slice(0, -5)))
+    );
+  }
+  return conversations.sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+export async function getConversation(dir, id) {
+  return readConversation(dir, id);
+}
+
+export async function deleteConversation(dir, id) {
+  const file = conversationPath(dir, id);
+
+  return withLock(file, async () => {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Conversation not found: ${id}`);
+      }
+      throw error;
+    }
+  });
+}
+
+// Append a user message and the model's reply. `reply` receives the
+// conversation with the user message added and resolves to the completion
+// response; nothing is saved if it fails.
+export async function addTurn(dir, id, message, reply) {
+  const file = conversationPath(dir, id);
+
+  return withLock(file, async () => {
+    const conversation = await readConversation(dir, id);
+    conversation.messages.push(message);
+
+    // Only the reply text is kept. Conversations cannot send tool results,
+    // and the API rejects a transcript with tool calls left unanswered.
+    const data = await reply(conversation);
+    const { role, content } = data.choices[0].message;
+    conversation.messages.push({ role, content: content || "" });
+
+    for (const key of Object.keys(conversation.usage)) {
+      conversation.usage[key] += data.usage?.[key] || 0;
+    }
+    conversation.updated = new Date().toISOString();
+
+    await writeConversation(dir, conversation);
+    return conversation;
+  });
+}
+
+// Copy a conversation under a new id, keeping the first `keep` messages (all
+// of them by default) so a dialogue can branch from an earlier turn
+export async function forkConversation(dir, id, { keep, title } = {}) {
+  const source = await readConversation(dir, id);
+  const count = keep !== undefined ? keep : source.messages.length;
+  if (!Number.isInteger(count) || count < 0 || count > source.messages.length) {
+    throw new Error(
+      `Number of messages to keep must be an integer from 0 to ${source.messages.length}`
+    );
+  }
+
+  const now = new Date().toISOString();
+  const conversation = {
+    ...source,
+    id: `conv_${randomUUID()}`,
+    title: title || source.title,
+    forked_from: source.id,
+    created: now,
+    updated: now,
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    messages: source.messages.slice(0, count),
+  };
+
+  await writeConversation(dir, conversation);
+  return conversation;
+}
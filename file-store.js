@@ -0,0 +1,29 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Helpers for the stores that keep their state as files (collections,
+// conversations, batches and the response cache).
+
+// Calls with the same key run one after another, so concurrent tool calls
+// cannot interleave their changes to one file. A key is forgotten once its
+// last call has settled.
+const locks = new Map();
+
+export function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const next = previous.then(fn, fn);
+  const tail = next.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return next;
+}
+
+// Write to a temporary file first so a crash never leaves a truncated file
+export async function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmp, text);
+  await fs.promises.rename(tmp, file);
+}
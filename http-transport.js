@@ -0,0 +1,258 @@
+import http from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+// HTTP transport for serving several remote MCP clients from one process.
+//
+// - /mcp: MCP Streamable HTTP (POST for messages, GET for the server-sent
+//   event stream, DELETE to end a session)
+// - /sse and /messages: the older HTTP+SSE transport, for clients that do
+//   not speak Streamable HTTP yet
+// - /health: unauthenticated liveness check
+//
+// Every client session gets its own MCP server instance from createServer().
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SESSION_SWEEP_MS = 60 * 1000;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  });
+}
+
+export async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error("Request body too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return undefined;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw Object.assign(new Error("Invalid JSON body"), { status: 400 });
+  }
+}
+
+// Compare a presented token against the configured ones in constant time
+export function tokenMatches(token, tokens) {
+  const presented = Buffer.from(token || "");
+  return tokens.some((candidate) => {
+    const expected = Buffer.from(candidate);
+    return (
+      expected.length === presented.length &&
+      timingSafeEqual(expected, presented)
+    );
+  });
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : undefined;
+}
+
+// Apply CORS headers; returns false when the request's origin is not allowed
+function applyCors(req, res, corsOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  const allowed = corsOrigins.includes("*") || corsOrigins.includes(origin);
+  if (!allowed) return false;
+
+  res.setHeader(
+    "Access-Control-Allow-Origin",
+    corsOrigins.includes("*") ? "*" : origin
+  );
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID, x-api-key"
+  );
+  res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
+  return true;
+}
+
+// Start the HTTP server and resolve once it is listening. `routes` are extra
+// request handlers tried before the MCP endpoints and their bearer-token
+// check; each returns true once it has responded.
+export async function startHttpServer({
+  createServer,
+  host,
+  port,
+  authTokens = [],
+  corsOrigins = [],
+  sessionIdleMs = 30 * 60 * 1000,
+  routes = [],
+  log,
+  logError = log,
+}) {
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+  const lastSeen = new Map();
+
+  // Clients that disappear without sending DELETE would otherwise keep their
+  // Streamable HTTP session and server instance forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [id, transport] of streamableSessions) {
+      if ((lastSeen.get(id) || 0) < cutoff) {
+        log("Closing idle HTTP session:", id);
+        transport.close().catch(() => {});
+      }
+    }
+  }, SESSION_SWEEP_MS);
+  sweep.unref();
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+    if (sessionId && !transport) {
+      return sendJsonRpcError(res, 404, -32001, "Session not found");
+    }
+    if (sessionId) lastSeen.set(sessionId, Date.now());
+
+    if (!transport) {
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        return sendJsonRpcError(
+          res,
+          400,
+          -32000,
+          "Bad Request: no valid session ID provided"
+        );
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          log("HTTP session started:", id);
+          streamableSessions.set(id, transport);
+          lastSeen.set(id, Date.now());
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          log("HTTP session closed:", transport.sessionId);
+          streamableSessions.delete(transport.sessionId);
+          lastSeen.delete(transport.sessionId);
+        }
+      };
+
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, transport);
+    log("SSE session started:", transport.sessionId);
+
+    res.on("close", () => {
+      log("SSE session closed:", transport.sessionId);
+      sseSessions.delete(transport.sessionId);
+    });
+
+    await createServer().connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const transport = sseSessions.get(url.searchParams.get("sessionId"));
+    if (!transport) {
+      return sendJsonRpcError(res, 404, -32001, "Session not found");
+    }
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    try {
+      if (!applyCors(req, res, corsOrigins)) {
+        return sendJson(res, 403, { error: "Origin not allowed" });
+      }
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        return res.end();
+      }
+
+      if (url.pathname === "/health" && req.method === "GET") {
+        return sendJson(res, 200, {
+          status: "ok",
+          sessions: streamableSessions.size + sseSessions.size,
+        });
+      }
+
+      for (const route of routes) {
+        if (await route(req, res, url)) return;
+      }
+
+      if (
+        authTokens.length > 0 &&
+        !tokenMatches(bearerToken(req), authTokens)
+      ) {
+        return sendJson(
+          res,
+          401,
+          { error: "Unauthorized" },
+          { "WWW-Authenticate": 'Bearer realm="openai-mcp-server"' }
+        );
+      }
+
+      if (url.pathname === "/mcp") {
+        if (!["GET", "POST", "DELETE"].includes(req.method)) {
+          return sendJson(res, 405, { error: "Method not allowed" });
+        }
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === "/sse" && req.method === "GET") {
+        return await handleSseStream(req, res);
+      }
+      if (url.pathname === "/messages" && req.method === "POST") {
+        return await handleSseMessage(req, res, url);
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      logError("Error handling HTTP request:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(
+          res,
+          error.status || 500,
+          -32603,
+          error.status ? error.message : "Internal server error"
+        );
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  httpServer.on("close", () => clearInterval(sweep));
+
+  return httpServer;
+}
@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readInputFile } from "./input-files.js";
+
+// Helpers for the images API: which sizes, qualities and counts each model
+// accepts, reading input images, and saving results to disk.
+
+export const DEFAULT_IMAGE_OUTPUT_DIR = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "images"
+);
+
+// Per-model limits. Models not listed here (e.g. on compatible providers)
+// are passed through without local checks.
+export const IMAGE_MODELS = {
+  "dall-e-2": {
+    operations: ["generate", "edit", "variation"],
+    sizes: ["256x256", "512x512", "1024x1024"],
+    maxN: 10,
+    maxInputBytes: 4 * 1024 * 1024,
+    inputTypes: ["image/png"],
+  },
+  "dall-e-3": {
+    operations: ["generate"],
+    sizes: ["1024x1024", "1792x1024", "1024x1792"],
+    qualities: ["standard", "hd"],
+    styles: ["vivid", "natural"],
+    maxN: 1,
+  },
+  "gpt-image-1": {
+    operations: ["generate", "edit"],
+    sizes: ["auto", "1024x1024", "1536x1024", "1024x1536"],
+    qualities: ["auto", "low", "medium", "high"],
+    maxN: 10,
+    maxInputBytes: 50 * 1024 * 1024,
+    inputTypes: ["image/png", "image/jpeg", "image/webp"],
+    // Always returns base64 and rejects the response_format parameter
+    base64Only: true,
+  },
+};
+
+const OPERATION_NAMES = {
+  generate: "generation",
+  edit: "edits",
+  variation: "variations",
+};
+
+export function imageModelInfo(model) {
+  return IMAGE_MODELS[model];
+}
+
+// Check size, quality, style and n against what the model supports
+export function validateImageParams(model, operation, params) {
+  const info = IMAGE_MODELS[model];
+  if (!info) return;
+
+  if (!info.operations.includes(operation)) {
+    const supported = Object.keys(IMAGE_MODELS).filter((name) =>
+      IMAGE_MODELS[name].operations.includes(operation)
+    );
+    throw new Error(
+      `${model} does not support image ${OPERATION_NAMES[operation]} (use ${supported.join(" or ")})`
+    );
+  }
+
+  const { size, quality, style, n } = params;
+  if (size !== undefined && !info.sizes.includes(size)) {
+    throw new Error(
+      `size must be one of ${info.sizes.join(", ")} for ${model}`
+    );
+  }
+  if (quality !== undefined && !(info.qualities || []).includes(quality)) {
+    throw new Error(
+      info.qualities
+        ? `quality must be one of ${info.qualities.join(", ")} for ${model}`
+        : `${model} does not support quality`
+    );
+  }
+  if (style !== undefined && !(info.styles || []).includes(style)) {
+    throw new Error(
+      info.styles
+        ? `style must be one of ${info.styles.join(", ")} for ${model}`
+        : `${model} does not support style`
+    );
+  }
+  if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > info.maxN)) {
+    throw new Error(
+      info.maxN === 1
+        ? `${model} creates one image per request, so n must be 1`
+        : `n must be an integer from 1 to ${info.maxN} for ${model}`
+    );
+  }
+}
+
+// Identify an image from its first bytes
+function sniffImageType(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "image/png";
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+    buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return undefined;
+}
+
+// Largest input image read from disk for models without their own limit
+const MAX_INPUT_FILE_BYTES = 50 * 1024 * 1024;
+
+// Read an input image given as a file path, a data: URL or raw base64, and
+// check it against the model's accepted types and size limit. Paths are
+// only read when the input file policy allows them.
+export function readInputImage(value, model, where, inputFiles) {
+  if (typeof value !== "string" || value === "") {
+    throw new Error(`${where} must be a file path, data: URL or base64 string`);
+  }
+
+  let buffer;
+  let file;
+  const dataUrl = /^data:[^;,]+;base64,(.*)$/s.exec(value);
+  if (dataUrl) {
+    buffer = Buffer.from(dataUrl[1], "base64");
+  } else if ((file = inputFiles?.resolve(value))) {
+    buffer = readInputFile(
+      file,
+      IMAGE_MODELS[model]?.maxInputBytes || MAX_INPUT_FILE_BYTES,
+      where
+    );
+  } else if (/^[A-Za-z0-9+/=\s]+$/.test(value)) {
+    buffer = Buffer.from(value, "base64");
+  } else {
+    throw new Error(
+      inputFiles?.allowAny
+        ? `${where}: file not found: ${value}`
+        : `${where}: must be a data: URL or base64 (set INPUT_FILES_DIR to read files)`
+    );
+  }
+
+  const type = sniffImageType(buffer);
+  const info = IMAGE_MODELS[model];
+  if (!type) {
+    throw new Error(`${where}: not a PNG, JPEG or WebP image`);
+  }
+  if (info && info.inputTypes && !info.inputTypes.includes(type)) {
+    throw new Error(
+      `${where}: ${model} accepts ${info.inputTypes.join(", ")}, not ${type}`
+    );
+  }
+  if (info && info.maxInputBytes && buffer.length > info.maxInputBytes) {
+    throw new Error(
+      `${where}: image is ${buffer.length} bytes; ${model} accepts at most ${info.maxInputBytes}`
+    );
+  }
+
+  return {
+    buffer,
+    type,
+    filename: `${where.replace(/[^\w-]/g, "")}.${type.split("/")[1]}`,
+  };
+}
+
+// Write base64 images to the output directory and return their paths
+export async function saveImages(dir, images, prefix) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+  const paths = [];
+  for (const [index, image] of images.entries()) {
+    const file = path.join(
+      dir,
+      `${stamp}-${prefix}-${index + 1}.${image.mimeType.split("/")[1]}`
+    );
+    await fs.promises.writeFile(file, Buffer.from(image.data, "base64"));
+    paths.push(file);
+  }
+  return paths;
+}
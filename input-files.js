@@ -0,0 +1,59 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Which server-side files the image and audio tools may read when an input
+// is given as a path. Paths come from clients, which in HTTP mode may be
+// anywhere, so reading is limited by INPUT_FILES_DIR:
+//
+//   set      only files inside that directory are read; relative paths are
+//            resolved against it
+//   unset    stdio mode reads any path the server user can read; HTTP mode
+//            reads none, and inputs must be data: URLs or base64
+//
+// Inputs that are not an allowed file are treated as base64, so a path
+// outside the directory fails the same way as a missing one.
+
+export function createInputFilePolicy({ dir, allowAny = false } = {}) {
+  const root = dir ? path.resolve(dir) : undefined;
+
+  // The real path of an allowed, existing file, or undefined
+  function resolve(value) {
+    if (!root) {
+      return allowAny && fs.existsSync(value) ? value : undefined;
+    }
+
+    // Compare real paths so symlinks cannot point out of the directory
+    let realRoot;
+    let file;
+    try {
+      realRoot = fs.realpathSync(root);
+      file = fs.realpathSync(path.resolve(root, value));
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+        return undefined;
+      }
+      throw error;
+    }
+    return file.startsWith(`${realRoot}${path.sep}`) ? file : undefined;
+  }
+
+  return {
+    dir: root,
+    allowAny: Boolean(root) || allowAny,
+    resolve,
+  };
+}
+
+// Read a file after checking its size, so an oversized file is never loaded
+export function readInputFile(file, maxBytes, where) {
+  const stat = fs.statSync(file);
+  if (!stat.isFile()) {
+    throw new Error(`${where}: not a file: ${file}`);
+  }
+  if (maxBytes && stat.size > maxBytes) {
+    throw new Error(
+      `${where}: file is ${stat.size} bytes; at most ${maxBytes} are accepted`
+    );
+  }
+  return fs.readFileSync(file);
+}
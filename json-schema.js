@@ -0,0 +1,160 @@
+import { Ajv } from "ajv";
+import addFormats from "ajv-formats";
+
+// JSON Schema validation for model output and tool arguments, with errors
+// phrased so they can be shown to a user or sent back to the model.
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators by schema text, since the same schema is usually sent
+// with every call
+const compiled = new Map();
+
+export function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  if (!compiled.has(key)) {
+    try {
+      compiled.set(key, ajv.compile(schema));
+    } catch (error) {
+      throw new Error(`Invalid JSON schema: ${error.message}`);
+    }
+  }
+  return compiled.get(key);
+}
+
+// One entry per problem, naming the field as a JSON pointer
+// ("/items/0/price"). A missing property is reported on the property itself.
+export function fieldErrors(errors = []) {
+  return errors.map((error) => {
+    const field = error.instancePath || "(root)";
+    switch (error.keyword) {
+      case "required":
+        return {
+          field: `${error.instancePath}/${error.params.missingProperty}`,
+          message: "is required",
+        };
+      case "additionalProperties":
+        return {
+          field,
+          message: `unexpected property ${error.params.additionalProperty}`,
+        };
+      case "enum":
+        return {
+          field,
+          message: `must be one of ${error.params.allowedValues
+            .map((value) => JSON.stringify(value))
+            .join(", ")}`,
+          allowed: error.params.allowedValues,
+        };
+      default:
+        return { field, message: error.message };
+    }
+  });
+}
+
+// One line per problem
+export function formatErrors(errors = []) {
+  return fieldErrors(errors).map(
+    ({ field, message }) => `${field}: ${message}`
+  );
+}
+
+// Validate a value, returning a list of error lines (empty when valid)
+export function validateValue(schema, value) {
+  const validate = compileSchema(schema);
+  return validate(value) ? [] : formatErrors(validate.errors);
+}
+
+// Strings that plainly spell a number or boolean are converted where the
+// schema only accepts that type, e.g. "0.7" for a temperature. Arrays and
+// objects are converted item by item. In a oneOf or anyOf, a value that fits
+// no branch is converted for the first branch it then fits; allOf applies
+// each part in turn. Strings where the schema names no type, and $ref, are
+// left as they are. Anything else is left for validation to report.
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+function fits(schema, value) {
+  try {
+    return compileSchema(schema)(value);
+  } catch (error) {
+    return false;
+  }
+}
+
+export function coerceValue(schema, value) {
+  if (!schema || typeof schema !== "object") return value;
+
+  const branches = schema.oneOf || schema.anyOf;
+  if (
+    Array.isArray(branches) &&
+    !branches.some((branch) => fits(branch, value))
+  ) {
+    for (const branch of branches) {
+      const coerced = coerceValue(branch, value);
+      if (coerced !== value && fits(branch, coerced)) return coerced;
+    }
+  }
+  if (Array.isArray(schema.allOf)) {
+    value = schema.allOf.reduce((item, part) => coerceValue(part, item), value);
+  }
+
+  const types = [].concat(schema.type || []);
+
+  if (
+    typeof value === "string" &&
+    types.length > 0 &&
+    !types.includes("string")
+  ) {
+    const text = value.trim();
+    if (NUMBER.test(text)) {
+      const number = Number(text);
+      if (
+        types.includes("number") ||
+        (types.includes("integer") && Number.isInteger(number))
+      ) {
+        return number;
+      }
+    }
+    if (types.includes("boolean") && (text === "true" || text === "false")) {
+      return text === "true";
+    }
+    return value;
+  }
+
+  if (
+    Array.isArray(value) &&
+    schema.items &&
+    typeof schema.items === "object"
+  ) {
+    return value.map((item) => coerceValue(schema.items, item));
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        coerceValue(
+          schema.properties?.[key] ??
+            (typeof schema.additionalProperties === "object"
+              ? schema.additionalProperties
+              : undefined),
+          item
+        ),
+      ])
+    );
+  }
+
+  return value;
+}
+
+// Check tool call arguments against the tool's input schema, after safe
+// coercion. Returns the arguments to use and the problems found.
+export function checkArguments(schema, args = {}) {
+  const value = coerceValue(schema, args);
+  const validate = compileSchema(schema);
+  return {
+    value,
+    errors: validate(value) ? [] : fieldErrors(validate.errors),
+  };
+}
@@ -0,0 +1,200 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Leveled JSON logging. Each entry is one line of JSON written to stderr and,
+// unless disabled, to a log file that is rotated by size:
+//
+//   {"time":"...","level":"info","msg":"Tool call finished","request_id":"...",
+//    "tool":"chatCompletion","caller":"...","data":{"duration_ms":812}}
+//
+// Arguments after the message are folded in: strings and numbers are
+// appended to the message, errors become an `error` field and objects a
+// `data` field. API keys and tokens are always redacted; message content can
+// be redacted too.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+export const DEFAULT_LOG_PATH = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "logs",
+  "server.log"
+);
+
+export const REDACTED = "[redacted]";
+
+// Keys whose values are credentials wherever they appear
+const SECRET_KEY =
+  /^(authorization|api[-_]?keys?|x-api-key|access[-_]?token|auth[-_]?tokens?|token|secret|client[-_]?secret|password)$/i;
+
+// Credentials recognizable by their shape alone
+const SECRET_PATTERNS = [/\bsk-[A-Za-z0-9_-]{8,}/g, /\bBearer\s+[^\s"',]+/gi];
+
+// Keys holding prompts, replies and other user content
+const CONTENT_KEY =
+  /^(messages|content|input|prompt|instructions|text|system|arguments|output|choices|embedding|data)$/;
+
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status,
+    code: error.code,
+    stack: error.stack,
+  };
+}
+
+// A level name in any case, as one of LOG_LEVELS
+export function parseLogLevel(value) {
+  const level = String(value).toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}`);
+  }
+  return level;
+}
+
+export function createLogger({
+  level = "info",
+  file = DEFAULT_LOG_PATH,
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 5,
+  redactContent = false,
+  secrets = [],
+  context = () => undefined,
+  stderr = process.stderr,
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(parseLogLevel(level));
+  const knownSecrets = secrets.filter((secret) => secret && secret.length >= 8);
+
+  let fileSize;
+  let fileFailed = false;
+
+  function scrub(text) {
+    let result = text;
+    for (const secret of knownSecrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const pattern of SECRET_PATTERNS) {
+      result = result.replace(pattern, REDACTED);
+    }
+    return result;
+  }
+
+  // Copy a value with credentials, and optionally content, redacted
+  function redact(value, key) {
+    if (key !== undefined && SECRET_KEY.test(key) && value) return REDACTED;
+    if (
+      redactContent &&
+      key !== undefined &&
+      CONTENT_KEY.test(key) &&
+      value !== null &&
+      value !== undefined
+    ) {
+      const size =
+        typeof value === "string" ? value.length : JSON.stringify(value).length;
+      return `[redacted ${size} chars]`;
+    }
+    if (typeof value === "string") return scrub(value);
+    if (Array.isArray(value)) return value.map((item) => redact(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, redact(item, name)])
+      );
+    }
+    return value;
+  }
+
+  // Move the current file to .1, .1 to .2 and so on, dropping the oldest
+  function rotate() {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.rmSync(file, { force: true });
+    fileSize = 0;
+  }
+
+  function writeFile(line) {
+    if (!file || fileFailed) return;
+    try {
+      if (fileSize === undefined) {
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        fileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      }
+      const bytes = Buffer.byteLength(line);
+      if (fileSize > 0 && fileSize + bytes > maxBytes) rotate();
+      fs.appendFileSync(file, line, { mode: 0o600 });
+      fileSize += bytes;
+    } catch (error) {
+      // Keep logging to stderr if the file cannot be written
+      fileFailed = true;
+      stderr.write(
+        `${JSON.stringify({
+          time: new Date().toISOString(),
+          level: "error",
+          msg: `Error writing log file ${file}: ${error.message}`,
+        })}\n`
+      );
+    }
+  }
+
+  function write(entryLevel, args) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+
+    const words = [];
+    const data = [];
+    let error;
+    for (const arg of args) {
+      if (arg instanceof Error) error = describeError(arg);
+      else if (arg !== null && typeof arg === "object") data.push(arg);
+      else words.push(String(arg));
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: scrub(words.join(" ")),
+      ...redact(context() || {}),
+    };
+    if (data.length > 0) {
+      entry.data = redact(data.length === 1 ? data[0] : data);
+    }
+    if (error) entry.error = redact(error);
+
+    const line = `${JSON.stringify(entry)}\n`;
+    stderr.write(line);
+    writeFile(line);
+  }
+
+  // The last `bytes` of the log file, starting at a whole line
+  function readTail(bytes) {
+    if (!file || !fs.existsSync(file)) return "";
+
+    const { size } = fs.statSync(file);
+    const start = Math.max(0, size - bytes);
+    const buffer = Buffer.alloc(size - start);
+    const fd = fs.openSync(file, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const text = buffer.toString("utf8");
+    return start > 0 ? text.slice(text.indexOf("\n") + 1) : text;
+  }
+
+  return {
+    level,
+    file,
+    debug: (...args) => write("debug", args),
+    info: (...args) => write("info", args),
+    warn: (...args) => write("warn", args),
+    error: (...args) => write("error", args),
+    readTail,
+  };
+}
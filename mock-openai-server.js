@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { cacheKey } from "./response-cache.js";
+
+// A local stand-in for the OpenAI API, for tests and for trying the server
+// without spending credits. It implements GET /v1/models,
+// POST /v1/chat/completions (including streaming), POST /v1/embeddings,
+// POST /v1/moderations, POST /v1/images/generations and
+// POST /v1/audio/transcriptions, and runs in one of three modes:
+//
+//   mock     answers from built-in defaults, or from scripted responses and
+//            injected errors queued per route
+//   record   forwards each request to a real API and saves the exchange as a
+//            fixture file
+//   replay   answers from the fixture files, failing on requests that were
+//            never recorded
+//
+// Run it on its own with `npm run mock`, configured by MOCK_OPENAI_PORT
+// (default 4010), MOCK_OPENAI_MODE, MOCK_OPENAI_FIXTURES and
+// MOCK_OPENAI_TARGET, and point the server at it with
+// OPENAI_BASE_URL=http://127.0.0.1:4010/v1. Scripts can then be queued over
+// HTTP:
+//
+//   POST /__mock/script    { "route": "chat", "responses": [{ ... }] }
+//   GET  /__mock/requests  the requests received so far
+//   POST /__mock/reset     clear scripts and received requests
+//
+// A scripted response may set `content`, `tool_calls` and `finish_reason`
+// (chat), `embeddings` (embeddings), `scores` ({ category: score }, for
+// every input to moderations), `body` to send verbatim, `status` and
+// `headers`, `error` ({ status, message, type, code }) for an API error,
+// `network_error: true` to drop the connection, `delay_ms`, and `times` to
+// repeat it.
+
+export const DEFAULT_FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "test",
+  "fixtures"
+);
+
+export const DEFAULT_MOCK_MODELS = [
+  "gpt-4o",
+  "gpt-4o-mini",
+  "gpt-3.5-turbo",
+  "text-embedding-3-small",
+  "text-embedding-ada-002",
+];
+
+const MODES = ["mock", "record", "replay"];
+
+const ROUTES = {
+  "GET /v1/models": "models",
+  "POST /v1/chat/completions": "chat",
+  "POST /v1/embeddings": "embeddings",
+  "POST /v1/moderations": "moderations",
+  "POST /v1/images/generations": "images",
+  "POST /v1/audio/transcriptions": "transcriptions",
+};
+
+// A 1x1 transparent PNG, returned for every generated image
+const MOCK_IMAGE =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+const MODERATION_CATEGORIES = [
+  "harassment",
+  "hate",
+  "illicit",
+  "self-harm",
+  "sexual",
+  "violence",
+];
+
+function errorBody(message, type = "invalid_request_error", code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Uploads are reduced to their fields, with each file as its name and size
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+  const type = req.headers["content-type"] || "";
+  if (type.startsWith("multipart/form-data")) {
+    const form = await new Response(buffer, {
+      headers: { "Content-Type": type },
+    }).formData();
+    const body = {};
+    for (const [key, value] of form) {
+      body[key] =
+        typeof value === "string"
+          ? value
+          : { filename: value.name, size: value.size };
+    }
+    return body;
+  }
+  const text = buffer.toString("utf8");
+  return text ? JSON.parse(text) : undefined;
+}
+
+// Rough token counts so usage looks plausible
+function countTokens(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? "");
+  return Math.max(1, Math.ceil(text.split(/\s+/).filter(Boolean).length * 1.3));
+}
+
+// A deterministic unit vector derived from the text, so equal inputs embed
+// equally and different inputs differ
+function mockEmbedding(input, dimensions) {
+  const hash = cacheKey(input);
+  const vector = Array.from({ length: dimensions }, (_, index) => {
+    const byte = parseInt(
+      hash.slice((index * 2) % 64, ((index * 2) % 64) + 2),
+      16
+    );
+    return byte / 255 - 0.5 + index / 1000;
+  });
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+}
+
+function lastUserText(messages = []) {
+  const message = [...messages].reverse().find((m) => m.role === "user");
+  if (!message) return "";
+  if (typeof message.content === "string") return message.content;
+  return (message.content || [])
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join(" ");
+}
+
+export function createMockOpenAI({
+  mode = "mock",
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  target = "https://api.openai.com/v1",
+  models = DEFAULT_MOCK_MODELS,
+} = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`MOCK_OPENAI_MODE must be one of ${MODES.join(", ")}`);
+  }
+
+  // route -> queue of scripted responses
+  const scripts = new Map();
+  const requests = [];
+  let counter = 0;
+
+  function script(route, ...responses) {
+    if (!Object.values(ROUTES).includes(route)) {
+      throw new Error(`Unknown mock route: ${route}`);
+    }
+    const queue = scripts.get(route) || [];
+    for (const response of responses) {
+      queue.push({ ...response, times: response.times || 1 });
+    }
+    scripts.set(route, queue);
+  }
+
+  function nextScripted(route) {
+    const queue = scripts.get(route) || [];
+    const entry = queue[0];
+    if (!entry) return undefined;
+    entry.times -= 1;
+    if (entry.times <= 0) queue.shift();
+    return entry;
+  }
+
+  function reset() {
+    scripts.clear();
+    requests.length = 0;
+  }
+
+  // Default and scripted responses
+
+  function chatCompletion(body, scripted = {}) {
+    const content =
+      scripted.content !== undefined
+        ? scripted.content
+        : scripted.tool_calls
+          ? null
+          : `Mock reply to: ${lastUserText(body.messages)}`;
+    const toolCalls = scripted.tool_calls?.map((call, index) => ({
+      id: call.id || `call_mock_${index + 1}`,
+      type: "function",
+      function: {
+        name: call.name || call.function?.name,
+        arguments:
+          typeof (call.arguments ?? call.function?.arguments) === "string"
+            ? (call.arguments ?? call.function.arguments)
+            : JSON.stringify(call.arguments ?? {}),
+      },
+    }));
+    const promptTokens = countTokens(body.messages);
+    const completionTokens = countTokens(content ?? toolCalls);
+
+    counter += 1;
+    return {
+      id: `chatcmpl-mock-${counter}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content,
+            tool_calls: toolCalls,
+            refusal: null,
+          },
+          finish_reason:
+            scripted.finish_reason || (toolCalls ? "tool_calls" : "stop"),
+        },
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  // Split a completion into the chunks the streaming API would send
+  function streamChunks(completion, includeUsage) {
+    const base = {
+      id: completion.id,
+      object: "chat.completion.chunk",
+      created: completion.created,
+      model: completion.model,
+    };
+    const { message, finish_reason } = completion.choices[0];
+    const chunk = (delta, finishReason = null) => ({
+      ...base,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    const chunks = [chunk({ role: "assistant", content: "" })];
+    for (const word of (message.content || "").split(/(?= )/)) {
+      if (word) chunks.push(chunk({ content: word }));
+    }
+    if (message.tool_calls) {
+      chunks.push(
+        chunk({
+          tool_calls: message.tool_calls.map((call, index) => ({
+            index,
+            ...call,
+          })),
+        })
+      );
+    }
+    chunks.push(chunk({}, finish_reason));
+    if (includeUsage) {
+      chunks.push({ ...base, choices: [], usage: completion.usage });
+    }
+    return chunks;
+  }
+
+  function embeddings(body, scripted = {}) {
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    const dimensions = body.dimensions || 8;
+    const vectors =
+      scripted.embeddings ||
+      inputs.map((input) => mockEmbedding(input, dimensions));
+    const tokens = inputs.reduce((sum, input) => sum + countTokens(input), 0);
+
+    return {
+      object: "list",
+      model: body.model,
+      data: vectors.map((vector, index) => ({
+        object: "embedding",
+        index,
+        embedding:
+          body.encoding_format === "base64"
+            ? Buffer.from(new Float32Array(vector).buffer).toString("base64")
+            : vector,
+      })),
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+    };
+  }
+
+  // Two segments of a 12.5 second recording, in whisper-1's verbose_json
+  // shape, or just the text for json
+  function transcription(body) {
+    const segments = [
+      { id: 0, start: 0, end: 6, text: " Hello from the mock." },
+      { id: 1, start: 6, end: 12.5, text: " This is a transcript." },
+    ];
+    const text = segments.map((segment) => segment.text.trim()).join(" ");
+    if (body.response_format !== "verbose_json") return { text };
+    return {
+      task: "transcribe",
+      language: "english",
+      duration: 12.5,
+      text,
+      segments,
+    };
+  }
+
+  // Every input scores 0.01 in every category unless the script says
+  // otherwise; scores of 0.5 and above are flagged
+  function moderations(body, scripted = {}) {
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    const scores = Object.fromEntries(
+      MODERATION_CATEGORIES.map((category) => [
+        category,
+        scripted.scores?.[category] ?? 0.01,
+      ])
+    );
+    const categories = Object.fromEntries(
+      Object.entries(scores).map(([category, score]) => [
+        category,
+        score >= 0.5,
+      ])
+    );
+
+    counter += 1;
+    return {
+      id: `modr-mock-${counter}`,
+      model: body.model,
+      results: inputs.map(() => ({
+        flagged: Object.values(categories).includes(true),
+        categories,
+        category_scores: scores,
+      })),
+    };
+  }
+
+  async function respondMock(route, body, req, res) {
+    const scripted = nextScripted(route) || {};
+    if (scripted.delay_ms) {
+      await new Promise((resolve) => setTimeout(resolve, scripted.delay_ms));
+    }
+    if (scripted.network_error) {
+      req.socket.destroy();
+      return;
+    }
+    if (scripted.error) {
+      const { status = 500, message, type, code } = scripted.error;
+      return sendJson(
+        res,
+        status,
+        errorBody(message || `Mock error ${status}`, type || "api_error", code),
+        scripted.headers
+      );
+    }
+
+    let response = scripted.body;
+    if (response === undefined) {
+      if (route === "models") {
+        response = {
+          object: "list",
+          data: models.map((id) => ({
+            id,
+            object: "model",
+            created: 1700000000,
+            owned_by: "mock",
+          })),
+        };
+      } else if (route === "embeddings") {
+        response = embeddings(body, scripted);
+      } else if (route === "moderations") {
+        response = moderations(body, scripted);
+      } else if (route === "transcriptions") {
+        response = transcription(body);
+      } else if (route === "images") {
+        response = {
+          created: Math.floor(Date.now() / 1000),
+          data: Array.from({ length: body.n || 1 }, () => ({
+            b64_json: MOCK_IMAGE,
+          })),
+        };
+      } else {
+        response = chatCompletion(body, scripted);
+      }
+    }
+
+    if (route === "chat" && body?.stream === true) {
+      res.writeHead(scripted.status || 200, {
+        "Content-Type": "text/event-stream",
+        ...scripted.headers,
+      });
+      for (const chunk of streamChunks(
+        response,
+        body.stream_options?.include_usage === true
+      )) {
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      }
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+
+    sendJson(res, scripted.status || 200, response, scripted.headers);
+  }
+
+  // Record and replay
+
+  function fixturePath(method, pathname, body) {
+    return path.join(
+      fixturesDir,
+      `${ROUTES[`${method} ${pathname}`]}-${cacheKey(method, pathname, body).slice(0, 16)}.json`
+    );
+  }
+
+  async function respondRecord(route, body, req, res, pathname) {
+    const upstream = await fetch(`${target}${pathname.replace(/^\/v1/, "")}`, {
+      method: req.method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(req.headers.authorization
+          ? { Authorization: req.headers.authorization }
+          : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const contentType = upstream.headers.get("content-type") || "";
+    const text = await upstream.text();
+
+    const fixture = {
+      request: { method: req.method, path: pathname, body },
+      response: {
+        status: upstream.status,
+        content_type: contentType,
+        body: contentType.includes("json") ? JSON.parse(text) : text,
+      },
+    };
+    await fs.promises.mkdir(fixturesDir, { recursive: true });
+    await fs.promises.writeFile(
+      fixturePath(req.method, pathname, body),
+      `${JSON.stringify(fixture, null, 2)}\n`
+    );
+
+    res.writeHead(upstream.status, { "Content-Type": contentType });
+    res.end(text);
+  }
+
+  async function respondReplay(route, body, req, res, pathname) {
+    let fixture;
+    try {
+      fixture = JSON.parse(
+        await fs.promises.readFile(
+          fixturePath(req.method, pathname, body),
+          "utf8"
+        )
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      // A client error, so the server under test does not retry it
+      return sendJson(
+        res,
+        404,
+        errorBody(
+          `No fixture recorded for ${req.method} ${pathname} with this body`,
+          "mock_error",
+          "fixture_not_found"
+        )
+      );
+    }
+
+    const { status, content_type, body: responseBody } = fixture.response;
+    res.writeHead(status, { "Content-Type": content_type });
+    res.end(
+      typeof responseBody === "string"
+        ? responseBody
+        : JSON.stringify(responseBody)
+    );
+  }
+
+  // Admin endpoints for scripting a mock running in another process
+  async function handleAdmin(req, res, pathname) {
+    if (req.method === "POST" && pathname === "/__mock/script") {
+      const { route, responses = [] } = (await readBody(req)) || {};
+      script(route, ...responses);
+      return sendJson(res, 200, { ok: true });
+    }
+    if (req.method === "GET" && pathname === "/__mock/requests") {
+      return sendJson(res, 200, { requests });
+    }
+    if (req.method === "POST" && pathname === "/__mock/reset") {
+      reset();
+      return sendJson(res, 200, { ok: true });
+    }
+    sendJson(res, 404, errorBody(`Unknown mock endpoint ${pathname}`));
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (pathname.startsWith("/__mock/")) {
+        return await handleAdmin(req, res, pathname);
+      }
+
+      const route = ROUTES[`${req.method} ${pathname}`];
+      if (!route) {
+        return sendJson(
+          res,
+          404,
+          errorBody(`The mock does not implement ${req.method} ${pathname}`)
+        );
+      }
+
+      const body = req.method === "POST" ? await readBody(req) : undefined;
+      requests.push({
+        method: req.method,
+        path: pathname,
+        headers: req.headers,
+        body,
+      });
+
+      if (mode === "record") {
+        return await respondRecord(route, body, req, res, pathname);
+      }
+      if (mode === "replay") {
+        return await respondReplay(route, body, req, res, pathname);
+      }
+      return await respondMock(route, body, req, res);
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, errorBody(error.message, "mock_error"));
+      }
+    }
+  }
+
+  const server = http.createServer(handle);
+
+  return {
+    server,
+    requests,
+    script,
+    reset,
+    // Start listening; port 0 picks a free port. Resolves to the base URL
+    // to use as OPENAI_BASE_URL.
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          resolve(`http://${host}:${server.address().port}/v1`);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+// Run as a standalone server
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const mock = createMockOpenAI({
+    mode: process.env.MOCK_OPENAI_MODE || "mock",
+    fixturesDir: process.env.MOCK_OPENAI_FIXTURES || DEFAULT_FIXTURES_DIR,
+    target: process.env.MOCK_OPENAI_TARGET || "https://api.openai.com/v1",
+  });
+  const url = await mock.listen(Number(process.env.MOCK_OPENAI_PORT) || 4010);
+  console.error(
+    `Mock OpenAI API (${process.env.MOCK_OPENAI_MODE || "mock"} mode) listening at ${url}`
+  );
+}
@@ -0,0 +1,166 @@
+import fs from "node:fs";
+
+// Model policy: which models tools may use, what they default to, short
+// aliases, and per-model parameter ceilings.
+//
+// Environment variables:
+//   DEFAULT_MODEL            default chat model
+//   DEFAULT_EMBEDDING_MODEL  default embedding model
+//   DEFAULT_IMAGE_MODEL      default image generation model
+//   ALLOWED_MODELS           comma-separated patterns; * is a wildcard
+//   DENIED_MODELS            comma-separated patterns, checked first
+//   MODEL_ALIASES            e.g. fast=gpt-4o-mini,smart=gpt-4o
+//
+// MODEL_POLICY_FILE may name a JSON file with the same settings plus
+// per-tool defaults and limits; environment variables take precedence:
+//
+//   {
+//     "defaults": { "chatCompletion": "gpt-4o-mini" },
+//     "allowed": ["gpt-4o*", "text-embedding-3-*"],
+//     "denied": ["gpt-4o-realtime*"],
+//     "aliases": { "fast": "gpt-4o-mini", "smart": "gpt-4o" },
+//     "limits": { "gpt-4o": { "max_tokens": 2000, "temperature": 1 } }
+//   }
+
+const FALLBACK_DEFAULTS = {
+  chat: "gpt-3.5-turbo",
+  embedding: "text-embedding-ada-002",
+  image: "dall-e-3",
+  transcription: "whisper-1",
+  speech: "tts-1",
+};
+
+// Tools whose operation only some models support default to one that does
+const FALLBACK_TOOL_DEFAULTS = {
+  editImage: "dall-e-2",
+  createImageVariation: "dall-e-2",
+};
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseAliases(value) {
+  return Object.fromEntries(
+    splitList(value)
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([alias, model]) => alias && model)
+  );
+}
+
+// Name patterns in which "*" matches any characters, shared with the tool
+// registry's TOOLS_ENABLED and TOOLS_DISABLED
+export function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*")}$`);
+}
+
+export function matchesAny(name, patterns) {
+  return patterns.some((pattern) => patternToRegExp(pattern).test(name));
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.status = 403;
+  error.code = "model_not_allowed";
+  return error;
+}
+
+export function loadModelPolicy(env = process.env) {
+  let file = {};
+  if (env.MODEL_POLICY_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.MODEL_POLICY_FILE, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `MODEL_POLICY_FILE ${env.MODEL_POLICY_FILE}: ${error.message}`
+      );
+    }
+  }
+
+  const allowed = env.ALLOWED_MODELS
+    ? splitList(env.ALLOWED_MODELS)
+    : file.allowed || [];
+  const denied = env.DENIED_MODELS
+    ? splitList(env.DENIED_MODELS)
+    : file.denied || [];
+  const aliases = { ...file.aliases, ...parseAliases(env.MODEL_ALIASES) };
+  const defaults = { ...FALLBACK_TOOL_DEFAULTS, ...file.defaults };
+  const familyDefaults = {
+    chat: env.DEFAULT_MODEL || defaults.chat || FALLBACK_DEFAULTS.chat,
+    embedding:
+      env.DEFAULT_EMBEDDING_MODEL ||
+      defaults.embedding ||
+      FALLBACK_DEFAULTS.embedding,
+    image: env.DEFAULT_IMAGE_MODEL || defaults.image || FALLBACK_DEFAULTS.image,
+    transcription: defaults.transcription || FALLBACK_DEFAULTS.transcription,
+    speech: defaults.speech || FALLBACK_DEFAULTS.speech,
+  };
+  const limits = file.limits || {};
+
+  function isAllowed(model) {
+    if (matchesAny(model, denied)) return false;
+    return allowed.length === 0 || matchesAny(model, allowed);
+  }
+
+  // Expand aliases, apply the tool's default when no model was given, and
+  // reject models outside the allow list. `family` is "chat", "embedding",
+  // "image", "transcription" or "speech".
+  function resolveModel(model, { tool, family }) {
+    const requested = model || defaults[tool] || familyDefaults[family];
+    const resolved = aliases[requested] || requested;
+
+    if (!isAllowed(resolved)) {
+      throw policyError(
+        allowed.length
+          ? `Model ${resolved} is not allowed (allowed: ${allowed.join(", ")})`
+          : `Model ${resolved} is not allowed`
+      );
+    }
+    return resolved;
+  }
+
+  // Limits for a model: an exact entry wins, then the first matching pattern
+  function limitsFor(model) {
+    if (limits[model]) return limits[model];
+    const pattern = Object.keys(limits).find((key) =>
+      patternToRegExp(key).test(model)
+    );
+    return pattern ? limits[pattern] : {};
+  }
+
+  // Clamp max_tokens and temperature to the model's ceilings.
+  // max_completion_tokens, the newer name for max_tokens, shares its ceiling.
+  function applyLimits(model, params) {
+    const ceiling = limitsFor(model);
+    const result = { ...params };
+    for (const [key, limit] of [
+      ["max_tokens", "max_tokens"],
+      ["max_completion_tokens", "max_tokens"],
+      ["temperature", "temperature"],
+    ]) {
+      if (
+        ceiling[limit] !== undefined &&
+        result[key] !== undefined &&
+        result[key] > ceiling[limit]
+      ) {
+        result[key] = ceiling[limit];
+      }
+    }
+    return result;
+  }
+
+  return {
+    aliases,
+    allowed,
+    denied,
+    defaults: { ...defaults, ...familyDefaults },
+    isAllowed,
+    resolveModel,
+    limitsFor,
+    applyLimits,
+  };
+}
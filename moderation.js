@@ -0,0 +1,89 @@
+// Moderation policy for the chatCompletion guard. Configured with:
+//
+//   MODERATION_GUARD        off (default), input, output or both
+//   MODERATION_ACTION       block (default) rejects the call; annotate lets
+//                           it through and reports the findings in metadata
+//   MODERATION_THRESHOLDS   per-category score limits, e.g.
+//                           violence=0.7,harassment=0.5,*=0.9 ("*" applies
+//                           to categories not listed)
+//   MODERATION_MODEL        default: omni-moderation-latest
+//   MODERATION_PROVIDER     provider to send moderation requests to
+//
+// Without thresholds a category counts as a violation when the API flags it.
+
+const GUARD_MODES = ["off", "input", "output", "both"];
+const ACTIONS = ["block", "annotate"];
+
+export const DEFAULT_MODERATION_MODEL = "omni-moderation-latest";
+
+function parseThresholds(value) {
+  const thresholds = {};
+  for (const pair of (value || "").split(",")) {
+    if (!pair.trim()) continue;
+    const [category, limit] = pair.split("=").map((part) => part.trim());
+    const number = Number(limit);
+    if (!category || !(number >= 0 && number <= 1)) {
+      throw new Error(
+        `Invalid MODERATION_THRESHOLDS entry "${pair.trim()}" (expected category=score between 0 and 1)`
+      );
+    }
+    thresholds[category] = number;
+  }
+  return thresholds;
+}
+
+// Error raised when the guard blocks a call, shaped for the REST facade
+export function moderationError(stage, violations) {
+  const error = new Error(
+    `Content blocked by moderation (${stage}): ${violations
+      .map((violation) => violation.category)
+      .join(", ")}`
+  );
+  error.status = 400;
+  error.code = "content_blocked";
+  error.violations = violations;
+  return error;
+}
+
+export function loadModerationPolicy(env = process.env) {
+  const mode = (env.MODERATION_GUARD || "off").toLowerCase();
+  if (!GUARD_MODES.includes(mode)) {
+    throw new Error(
+      `MODERATION_GUARD must be one of ${GUARD_MODES.join(", ")}`
+    );
+  }
+  const action = (env.MODERATION_ACTION || "block").toLowerCase();
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`MODERATION_ACTION must be one of ${ACTIONS.join(", ")}`);
+  }
+  const thresholds = parseThresholds(env.MODERATION_THRESHOLDS);
+
+  // List the categories of one moderation result that break the policy,
+  // with their scores and the limit applied. `overrides` replaces limits for
+  // a single call.
+  function violations(result, overrides = {}) {
+    const limits = { ...thresholds, ...overrides };
+    const found = [];
+    for (const [category, score] of Object.entries(
+      result.category_scores || {}
+    )) {
+      const threshold = limits[category] ?? limits["*"];
+      const violated =
+        threshold !== undefined
+          ? score >= threshold
+          : result.categories?.[category] === true;
+      if (violated) found.push({ category, score, threshold });
+    }
+    return found;
+  }
+
+  return {
+    checkInput: mode === "input" || mode === "both",
+    checkOutput: mode === "output" || mode === "both",
+    action,
+    model: env.MODERATION_MODEL || DEFAULT_MODERATION_MODEL,
+    provider: env.MODERATION_PROVIDER,
+    thresholds,
+    violations,
+  };
+}
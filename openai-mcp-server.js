@@ -4,347 +4,1676 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { fetch } from "undici";
 import fs from "node:fs";
+import { FormData } from "undici";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+import * as vectorStore from "./vector-store.js";
+import * as conversations from "./conversations.js";
+import * as promptTemplates from "./prompt-templates.js";
+import { checkArguments, validateValue } from "./json-schema.js";
+import * as images from "./images.js";
+import * as audio from "./audio.js";
+import * as batches from "./batches.js";
+import * as responses from "./responses.js";
+import { loadProviders, providerRequest } from "./providers.js";
+import { startHttpServer } from "./http-transport.js";
+import { createRestApi } from "./rest-api.js";
+import { createUpstreamClient } from "./upstream-client.js";
+import { loadModelPolicy } from "./model-policy.js";
+import { loadModerationPolicy, moderationError } from "./moderation.js";
+import {
+  createUsageLedger,
+  DEFAULT_LEDGER_PATH,
+  DEFAULT_PRICES,
+} from "./usage-ledger.js";
+import { cacheKey, createResponseCache } from "./response-cache.js";
+import {
+  createLogger,
+  parseLogLevel,
+  DEFAULT_LOG_PATH,
+  REDACTED,
+} from "./logger.js";
+import { createToolRegistry } from "./tool-registry.js";
+import { createInputFilePolicy } from "./input-files.js";
+import modelTools from "./tools/models.js";
+import chatTools from "./tools/chat.js";
+import embeddingTools from "./tools/embeddings.js";
+import collectionTools from "./tools/collections.js";
+import usageTools from "./tools/usage.js";
+import conversationTools from "./tools/conversations.js";
+import promptTools from "./tools/prompts.js";
+import imageTools from "./tools/images.js";
+import responseTools from "./tools/responses.js";
+import batchTools from "./tools/batches.js";
+import moderationTools from "./tools/moderation.js";
+import audioTools from "./tools/audio.js";
 
 // Load environment variables
 dotenv.config();
 
-// Configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = "https://api.openai.com";
-const debug = process.env.DEBUG === "true";
+// Configuration. Errors in it are kept and reported by main(), so the server
+// stops with a readable message instead of failing the import; `fallback`
+// stands in until then.
+const CONFIG_ERRORS = [];
+function readConfig(what, load, fallback) {
+  try {
+    return load();
+  } catch (error) {
+    CONFIG_ERRORS.push(`Invalid ${what}: ${error.message}`);
+    return fallback;
+  }
+}
+const { providers: PROVIDERS, defaultName: DEFAULT_PROVIDER } = readConfig(
+  "provider configuration",
+  () => loadProviders(),
+  { providers: {}, defaultName: undefined }
+);
 
-// Set up logging
-function log(...args) {
-  if (debug) {
-    const timestamp = new Date().toISOString();
-    const message = `[${timestamp}] ${args.join(" ")}`;
-    // Only log to console, not to file, to avoid permission issues
-    console.error(message);
+// Who a call is made for (request id, tool, caller, session), available to
+// everything the call does without threading it through each function
+const requestContext = new AsyncLocalStorage();
 
-    // Optionally, try to log to a file in the user's home directory
-    try {
-      const homeDir = process.env.HOME || process.env.USERPROFILE;
-      const logPath = homeDir ? `${homeDir}/openai-mcp-server.log` : null;
+// Structured logging. Every entry carries the request context, and known
+// credentials are scrubbed from it. DEBUG=true is kept as a shorthand for
+// LOG_LEVEL=debug.
+const LOG_FILE = ["none", "off", "false"].includes(process.env.LOG_FILE)
+  ? null
+  : process.env.LOG_FILE || DEFAULT_LOG_PATH;
+const LOGGER = createLogger({
+  level: readConfig(
+    "logging configuration",
+    () =>
+      parseLogLevel(
+        process.env.LOG_LEVEL ||
+          (process.env.DEBUG === "true" ? "debug" : "info")
+      ),
+    "info"
+  ),
+  file: LOG_FILE,
+  maxBytes: (Number(process.env.LOG_MAX_MB) || 10) * 1024 * 1024,
+  maxFiles:
+    process.env.LOG_MAX_FILES !== undefined
+      ? Number(process.env.LOG_MAX_FILES)
+      : 5,
+  redactContent: process.env.LOG_REDACT_CONTENT === "true",
+  secrets: [
+    ...Object.values(PROVIDERS).flatMap((provider) => [
+      provider.apiKey,
+      ...Object.values(provider.headers || {}),
+    ]),
+    ...`${process.env.MCP_AUTH_TOKENS || ""},${process.env.REST_API_KEYS || ""}`.split(
+      ","
+    ),
+  ],
+  context: () => requestContext.getStore(),
+});
+const LOG_TAIL_BYTES = 64 * 1024;
+// The log holds every client's requests, so it is only offered as a resource
+// when asked for
+const EXPOSE_LOG_RESOURCE = process.env.EXPOSE_LOG_RESOURCE === "true";
 
-      if (logPath) {
-        fs.appendFileSync(logPath, message + "\n");
-      }
-    } catch (err) {
-      // Silently fail if we can't write to the log file
-      console.error(`[${timestamp}] Error writing to log file:`, err.message);
-    }
+// Most messages trace requests and responses, so plain log() is debug level
+const log = LOGGER.debug;
+const MAX_INLINE_IMAGE_BYTES =
+  Number(process.env.MAX_INLINE_IMAGE_BYTES) || 20 * 1024 * 1024;
+const IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const IMAGE_DETAILS = ["auto", "low", "high"];
+const VECTOR_STORE_DIR =
+  process.env.VECTOR_STORE_DIR || vectorStore.DEFAULT_VECTOR_STORE_DIR;
+const EMBEDDING_BATCH_SIZE = 256;
+const CONVERSATIONS_DIR =
+  process.env.CONVERSATIONS_DIR || conversations.DEFAULT_CONVERSATIONS_DIR;
+const PROMPTS_DIR =
+  process.env.PROMPTS_DIR || promptTemplates.DEFAULT_PROMPTS_DIR;
+const IMAGE_OUTPUT_DIR =
+  process.env.IMAGE_OUTPUT_DIR || images.DEFAULT_IMAGE_OUTPUT_DIR;
+const AUDIO_OUTPUT_DIR =
+  process.env.AUDIO_OUTPUT_DIR || audio.DEFAULT_AUDIO_OUTPUT_DIR;
+const BATCHES_DIR = process.env.BATCHES_DIR || batches.DEFAULT_BATCHES_DIR;
+const MODEL_POLICY = readConfig(
+  "model policy",
+  () => loadModelPolicy(),
+  loadModelPolicy({})
+);
+const MODERATION = readConfig(
+  "moderation policy",
+  () => loadModerationPolicy(),
+  loadModerationPolicy({})
+);
+
+// Tools: the built-in ones plus any plugins, filtered by TOOLS_ENABLED and
+// TOOLS_DISABLED
+const [TOOLS_ENABLED, TOOLS_DISABLED, TOOL_PLUGINS] = [
+  process.env.TOOLS_ENABLED,
+  process.env.TOOLS_DISABLED,
+  process.env.TOOL_PLUGINS,
+].map((value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+);
+const TOOL_PLUGINS_DIR = process.env.TOOL_PLUGINS_DIR;
+const TOOLS = createToolRegistry({
+  enabled: TOOLS_ENABLED,
+  disabled: TOOLS_DISABLED,
+  log: LOGGER.info,
+});
+
+// Usage ledger with optional budget caps. PRICE_TABLE_FILE may add or
+// override prices (USD per million tokens) as { "model": { input, output } },
+// or per image, character or minute as in DEFAULT_PRICES.
+const USAGE_LEDGER = createUsageLedger({
+  ledgerPath: process.env.USAGE_LEDGER_PATH || DEFAULT_LEDGER_PATH,
+  prices: {
+    ...DEFAULT_PRICES,
+    ...readConfig(
+      `PRICE_TABLE_FILE ${process.env.PRICE_TABLE_FILE}`,
+      () =>
+        process.env.PRICE_TABLE_FILE
+          ? JSON.parse(fs.readFileSync(process.env.PRICE_TABLE_FILE, "utf8"))
+          : {},
+      {}
+    ),
+  },
+  dailyBudget: process.env.DAILY_BUDGET_USD
+    ? Number(process.env.DAILY_BUDGET_USD)
+    : undefined,
+  monthlyBudget: process.env.MONTHLY_BUDGET_USD
+    ? Number(process.env.MONTHLY_BUDGET_USD)
+    : undefined,
+  log: LOGGER.error,
+});
+
+// Cache for deterministic calls: chat completions at temperature 0 and
+// embeddings. RESPONSE_CACHE_DIR also persists entries across restarts.
+const RESPONSE_CACHE =
+  process.env.RESPONSE_CACHE === "false"
+    ? null
+    : createResponseCache({
+        dir: process.env.RESPONSE_CACHE_DIR,
+        ttlMs: (Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || 86400) * 1000,
+        maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+        maxBytes:
+          (Number(process.env.RESPONSE_CACHE_MAX_MB) || 64) * 1024 * 1024,
+        log: LOGGER.warn,
+      });
+
+// Whether a response came from the cache ("hit", "partial", "miss" or
+// "bypass"), kept beside the response so the OpenAI-shaped body stays as is
+const CACHE_STATUS = new WeakMap();
+
+// Findings of the moderation guard for a chat response ({ input, output }),
+// kept beside it in the same way
+const MODERATION_RESULTS = new WeakMap();
+
+// Upstream client: timeouts, retries, concurrency and circuit breaker
+const UPSTREAM_SETTINGS = {
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 60 * 1000,
+  maxPauseMs: (Number(process.env.RATE_LIMIT_MAX_WAIT_SECONDS) || 60) * 1000,
+  maxRetries:
+    process.env.UPSTREAM_MAX_RETRIES !== undefined
+      ? Number(process.env.UPSTREAM_MAX_RETRIES)
+      : 3,
+  maxConcurrency: Number(process.env.UPSTREAM_MAX_CONCURRENCY) || 8,
+  breakerThreshold: Number(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs:
+    (Number(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS) || 30) * 1000,
+};
+const upstream = createUpstreamClient({
+  ...UPSTREAM_SETTINGS,
+  log: LOGGER.warn,
+});
+
+// How often to re-check the provider's model list for the openai://models
+// resources; 0 turns the check off
+const MODEL_REFRESH_MS =
+  (process.env.MODEL_REFRESH_SECONDS !== undefined
+    ? Number(process.env.MODEL_REFRESH_SECONDS)
+    : 300) * 1000;
+
+// Transport: stdio by default, or HTTP with --transport=http (or --http) or
+// MCP_TRANSPORT=http
+function selectedTransport(argv) {
+  if (argv.includes("--http")) return "http";
+
+  const index = argv.findIndex((arg) => arg.startsWith("--transport"));
+  if (index !== -1) {
+    return argv[index].includes("=")
+      ? argv[index].split("=")[1]
+      : argv[index + 1];
   }
+  return process.env.MCP_TRANSPORT || "stdio";
 }
 
-// Tool handlers
-const HANDLERS = {
-  // List available models
-  listModels: async () => {
-    log("Executing listModels");
+const TRANSPORT = selectedTransport(process.argv.slice(2));
+const HTTP_HOST = process.env.HOST || "127.0.0.1";
+// Files the image and audio tools may read. Without INPUT_FILES_DIR, HTTP
+// clients cannot name server paths at all.
+const INPUT_FILES_DIR = process.env.INPUT_FILES_DIR;
+const INPUT_FILES = createInputFilePolicy({
+  dir: INPUT_FILES_DIR,
+  allowAny: TRANSPORT !== "http",
+});
+const HTTP_PORT = Number(process.env.PORT) || 3000;
+const MCP_AUTH_TOKENS = (process.env.MCP_AUTH_TOKENS || "")
+  .split(",")
+  .map((token) => token.trim())
+  .filter(Boolean);
+const MCP_SESSION_IDLE_MS =
+  (Number(process.env.MCP_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const REST_API = process.env.REST_API === "true";
+// REST clients use their own keys, or the MCP tokens when none are set
+const REST_API_KEYS = (process.env.REST_API_KEYS || "")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+const REST_CLIENT_KEYS =
+  REST_API_KEYS.length > 0 ? REST_API_KEYS : MCP_AUTH_TOKENS;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
-    try {
-      const response = await fetch(`${OPENAI_API_URL}/v1/models`, {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-      });
+// Check an inline base64 image against the supported formats and size limit
+function checkInlineImage(mimeType, data, where) {
+  if (!IMAGE_MIME_TYPES.includes(mimeType)) {
+    throw new Error(
+      `${where}: unsupported image type ${mimeType} (expected one of ${IMAGE_MIME_TYPES.join(", ")})`
+    );
+  }
 
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`OpenAI API error: ${error}`);
-      }
+  const padding = data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0;
+  const bytes = Math.floor((data.length * 3) / 4) - padding;
+  if (bytes > MAX_INLINE_IMAGE_BYTES) {
+    throw new Error(
+      `${where}: inline image is ${bytes} bytes, limit is ${MAX_INLINE_IMAGE_BYTES}`
+    );
+  }
+}
 
-      const data = await response.json();
+// Build an OpenAI image_url part, validating detail and any data: URL
+function toImageUrlPart(url, detail, where) {
+  if (typeof url !== "string" || url.length === 0) {
+    throw new Error(`${where}: image URL is required`);
+  }
+  if (detail !== undefined && !IMAGE_DETAILS.includes(detail)) {
+    throw new Error(
+      `${where}: detail must be one of ${IMAGE_DETAILS.join(", ")}`
+    );
+  }
 
-      // Format the models in a readable way
-      const formattedModels = data.data
-        .map(
-          (model) =>
-            `- ${model.id} (created: ${new Date(
-              model.created * 1000
-            ).toISOString()})`
-        )
-        .join("\n");
+  const dataUrl = url.match(/^data:([^;,]+);base64,(.*)$/s);
+  if (dataUrl) {
+    checkInlineImage(dataUrl[1], dataUrl[2], where);
+  }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Available OpenAI Models:\n\n${formattedModels}`,
-          },
-        ],
-        metadata: {
-          count: data.data.length,
-        },
-      };
-    } catch (error) {
-      log("Error listing models:", error);
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error listing models: ${error.message}`,
-          },
-        ],
-        metadata: {},
-        isError: true,
-      };
+  const image_url = { url };
+  if (detail !== undefined) image_url.detail = detail;
+  return { type: "image_url", image_url };
+}
+
+// Convert message content into OpenAI's format. Strings pass through; arrays
+// may mix OpenAI text/image_url parts with MCP text and image content blocks
+function toOpenAIContent(content, messageIndex) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map((part, partIndex) => {
+    const where = `messages[${messageIndex}].content[${partIndex}]`;
+
+    switch (part && part.type) {
+      case "text":
+        return { type: "text", text: part.text };
+
+      case "image_url": {
+        const imageUrl =
+          typeof part.image_url === "string"
+            ? { url: part.image_url }
+            : part.image_url || {};
+        return toImageUrlPart(
+          imageUrl.url,
+          imageUrl.detail !== undefined ? imageUrl.detail : part.detail,
+          where
+        );
+      }
+
+      // MCP image content block: { type: "image", data, mimeType }
+      case "image": {
+        if (typeof part.data !== "string" || !part.mimeType) {
+          throw new Error(`${where}: image blocks need data and mimeType`);
+        }
+        return toImageUrlPart(
+          `data:${part.mimeType};base64,${part.data}`,
+          part.detail,
+          where
+        );
+      }
+
+      default:
+        throw new Error(
+          `${where}: unsupported content part type ${part && part.type}`
+        );
     }
-  },
+  });
+}
 
-  // Generate chat completion
-  chatCompletion: async (request) => {
-    const { model, messages, temperature, max_tokens, stream } =
-      request.params.arguments;
+// Read a server-sent events stream from the chat completions endpoint and
+// assemble it into the same shape as a non-streaming response. onChunk sees
+// every parsed chunk as it arrives.
+async function readChatCompletionStream(response, onChunk) {
+  const decoder = new TextDecoder();
+  const result = {
+    model: undefined,
+    choices: [
+      { message: { role: "assistant", content: "" }, finish_reason: null },
+    ],
+    usage: undefined,
+  };
+  let buffer = "";
+  let done = false;
 
-    log("Executing chatCompletion with model:", model);
-    log("Messages:", JSON.stringify(messages));
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
 
-    try {
-      // Validate required parameters
-      if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        throw new Error("Messages array is required and must not be empty");
+    // Events are separated by a blank line; keep any partial event buffered
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      const payload = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+
+      if (!payload) continue;
+      if (payload === "[DONE]") {
+        done = true;
+        break;
       }
 
-      // Prepare request to OpenAI
-      const openaiRequest = {
-        model: model || "gpt-3.5-turbo",
-        messages,
-        temperature: temperature !== undefined ? temperature : 0.7,
-        max_tokens: max_tokens !== undefined ? max_tokens : 150,
-        stream: false, // Streaming not supported in this implementation
-      };
+      const data = JSON.parse(payload);
+      await onChunk(data);
+      result.model = data.model || result.model;
+      if (data.usage) result.usage = data.usage;
 
-      log("OpenAI request:", JSON.stringify(openaiRequest));
+      const choice = data.choices && data.choices[0];
+      if (!choice) continue;
 
-      // Call OpenAI API
-      const response = await fetch(`${OPENAI_API_URL}/v1/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(openaiRequest),
-      });
+      if (choice.delta && choice.delta.content) {
+        result.choices[0].message.content += choice.delta.content;
+      }
+
+      // Structured output refusals stream the same way as content
+      if (choice.delta && choice.delta.refusal) {
+        const message = result.choices[0].message;
+        message.refusal = (message.refusal || "") + choice.delta.refusal;
+      }
+
+      // Tool calls arrive in fragments keyed by index; the first fragment
+      // carries the id and name, later ones append to the arguments string
+      if (choice.delta && choice.delta.tool_calls) {
+        const message = result.choices[0].message;
+        message.tool_calls = message.tool_calls || [];
+        for (const fragment of choice.delta.tool_calls) {
+          if (!message.tool_calls[fragment.index]) {
+            message.tool_calls[fragment.index] = {
+              id: undefined,
+              type: "function",
+              function: { name: "", arguments: "" },
+            };
+          }
+          const toolCall = message.tool_calls[fragment.index];
+          if (fragment.id) toolCall.id = fragment.id;
+          if (fragment.type) toolCall.type = fragment.type;
+          if (fragment.function && fragment.function.name) {
+            toolCall.function.name += fragment.function.name;
+          }
+          if (fragment.function && fragment.function.arguments) {
+            toolCall.function.arguments += fragment.function.arguments;
+          }
+        }
+      }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        log("OpenAI API error response:", errorText);
-        throw new Error(`OpenAI API error: ${errorText}`);
+      if (choice.finish_reason) {
+        result.choices[0].finish_reason = choice.finish_reason;
       }
+    }
 
-      const data = await response.json();
-      log("OpenAI API response:", JSON.stringify(data));
+    if (done) break;
+  }
 
-      // Extract the assistant's message
-      const assistantMessage = data.choices[0].message.content;
+  return result;
+}
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: assistantMessage,
-          },
-        ],
-        metadata: {
-          model: data.model,
-          usage: data.usage,
-          finish_reason: data.choices[0].finish_reason,
-        },
-      };
-    } catch (error) {
-      log("Error in chatCompletion:", error);
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error: ${error.message}`,
-          },
-        ],
-        metadata: {},
-        isError: true,
-      };
+// Look up a provider profile, falling back to the configured default
+function getProvider(name) {
+  const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+  if (!provider) {
+    throw new Error(
+      `Unknown provider: ${name} (configured: ${Object.keys(PROVIDERS).join(
+        ", "
+      )})`
+    );
+  }
+  return provider;
+}
+
+// Send a request to an API path (e.g. "/chat/completions") on the selected
+// provider, which decides the URL layout and authentication headers. Bodies
+// are sent as JSON, except FormData, which fetch encodes as multipart.
+function openaiFetch(path, { provider, model, method = "POST", body } = {}) {
+  const profile = getProvider(provider);
+  const { url, headers } = providerRequest(profile, path, { model });
+
+  if (body instanceof FormData) {
+    return upstream.fetch(profile.name, url, { method, headers, body });
+  }
+
+  return upstream.fetch(profile.name, url, {
+    method,
+    headers: {
+      ...headers,
+      "Content-Type": "application/json",
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+}
+
+// Build an error for a failed upstream call, keeping the status and raw body
+// so the REST facade can pass them on
+function apiError(response, errorText) {
+  const error = new Error(`OpenAI API error: ${errorText}`);
+  error.status = response.status;
+  error.body = errorText;
+  return error;
+}
+
+// Fetch the model list from a provider
+async function requestModels(provider) {
+  const response = await openaiFetch("/models", {
+    provider,
+    method: "GET",
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  return response.json();
+}
+
+// Record a finished upstream call in the usage ledger
+function recordUsage(data, provider, startedAt, { discount } = {}) {
+  const context = requestContext.getStore() || {};
+  USAGE_LEDGER.record({
+    tool: context.tool,
+    model: data.model,
+    provider: getProvider(provider).name,
+    usage: data.usage,
+    caller: context.caller,
+    session: context.session,
+    latencyMs: Date.now() - startedAt,
+    discount,
+  });
+}
+
+// Run a chat completion from tool-style arguments. Shared by the
+// chatCompletion tool and the REST facade; when streaming, onChunk receives
+// each raw chunk and the assembled response is returned at the end. `tool`
+// selects the model policy default. With `passThrough` (the REST facade),
+// other OpenAI parameters are sent as they are and unset ones are left to
+// the API's defaults. `shouldCache` can keep a reply out of the cache.
+async function requestChatCompletion(
+  args,
+  {
+    onChunk = async () => {},
+    tool = "chatCompletion",
+    passThrough = false,
+    shouldCache = () => true,
+  } = {}
+) {
+  const {
+    model,
+    messages,
+    temperature,
+    max_tokens,
+    stream,
+    stream_options,
+    tools,
+    tool_choice,
+    parallel_tool_calls,
+    response_format,
+    provider,
+    bypass_cache,
+    ...otherParams
+  } = args;
+
+  // Validate required parameters
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    throw new Error("Messages array is required and must not be empty");
+  }
+
+  // Apply the model policy: aliases, defaults, allow list and ceilings
+  const resolvedModel = MODEL_POLICY.resolveModel(model, {
+    tool,
+    family: "chat",
+  });
+  // Pass-through requests without a length get the model's ceiling, as the
+  // API's own default has none
+  const { max_completion_tokens } = otherParams;
+  const limited = MODEL_POLICY.applyLimits(
+    resolvedModel,
+    passThrough
+      ? {
+          temperature,
+          max_tokens:
+            max_tokens === undefined && max_completion_tokens === undefined
+              ? MODEL_POLICY.limitsFor(resolvedModel).max_tokens
+              : max_tokens,
+          max_completion_tokens,
+        }
+      : {
+          temperature: temperature !== undefined ? temperature : 0.7,
+          max_tokens: max_tokens !== undefined ? max_tokens : 150,
+        }
+  );
+
+  // Prepare request to OpenAI
+  const openaiRequest = {
+    ...(passThrough ? otherParams : {}),
+    model: resolvedModel,
+    messages: messages.map((message, index) => ({
+      ...message,
+      content: toOpenAIContent(message.content, index),
+    })),
+    temperature: limited.temperature,
+    max_tokens: limited.max_tokens,
+    stream: stream === true,
+  };
+  if (limited.max_completion_tokens !== undefined) {
+    openaiRequest.max_completion_tokens = limited.max_completion_tokens;
+  }
+
+  // Pass function-calling options through untouched
+  if (tools !== undefined) openaiRequest.tools = tools;
+  if (tool_choice !== undefined) openaiRequest.tool_choice = tool_choice;
+  if (parallel_tool_calls !== undefined) {
+    openaiRequest.parallel_tool_calls = parallel_tool_calls;
+  }
+  if (response_format !== undefined) {
+    openaiRequest.response_format = response_format;
+  }
+
+  // Ask for a final usage chunk so streamed calls report token counts too
+  if (openaiRequest.stream) {
+    openaiRequest.stream_options = { ...stream_options, include_usage: true };
+  }
+
+  log("OpenAI request:", openaiRequest);
+
+  const moderation = {};
+  if (MODERATION.checkInput) {
+    moderation.input = await guardContent(
+      "input",
+      messages.map((message) => messageText(message.content))
+    );
+  }
+
+  // Only deterministic, non-streamed requests are cached
+  const cacheable =
+    RESPONSE_CACHE && openaiRequest.temperature === 0 && !openaiRequest.stream;
+  const key =
+    cacheable &&
+    cacheKey("/chat/completions", getProvider(provider).name, openaiRequest);
+  if (cacheable && !bypass_cache) {
+    const cached = await RESPONSE_CACHE.get(key);
+    if (cached) {
+      log("Response cache hit:", key);
+      CACHE_STATUS.set(cached, "hit");
+      return await guardOutput(cached, moderation);
     }
-  },
+  }
 
-  // Generate embeddings
-  createEmbedding: async (request) => {
-    const { model, input } = request.params.arguments;
+  USAGE_LEDGER.checkBudget();
+  const startedAt = Date.now();
 
-    log("Executing createEmbedding with model:", model);
+  // Call OpenAI API
+  const response = await openaiFetch("/chat/completions", {
+    provider,
+    model: openaiRequest.model,
+    body: openaiRequest,
+  });
 
-    try {
-      // Validate required parameters
-      if (!input) {
-        throw new Error("Input is required");
-      }
+  if (!response.ok) {
+    const errorText = await response.text();
+    log("OpenAI API error response:", errorText);
+    throw apiError(response, errorText);
+  }
 
-      // Prepare request to OpenAI
-      const openaiRequest = {
-        model: model || "text-embedding-ada-002",
-        input,
-      };
+  // With the output guard on, streamed chunks are held back until the
+  // finished reply has passed it, so blocked output never reaches the client
+  const heldChunks = [];
+  const data = openaiRequest.stream
+    ? await readChatCompletionStream(
+        response,
+        MODERATION.checkOutput
+          ? async (chunk) => heldChunks.push(chunk)
+          : onChunk
+      )
+    : await response.json();
+  log("OpenAI API response:", data);
 
-      // Call OpenAI API
-      const response = await fetch(`${OPENAI_API_URL}/v1/embeddings`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(openaiRequest),
-      });
+  recordUsage(data, provider, startedAt);
+
+  // Check the output before caching so blocked replies are not stored
+  await guardOutput(data, moderation);
+  for (const chunk of heldChunks) await onChunk(chunk);
+
+  if (cacheable && shouldCache(data)) {
+    await RESPONSE_CACHE.set(key, data);
+  }
+  if (cacheable) CACHE_STATUS.set(data, bypass_cache ? "bypass" : "miss");
+  return data;
+}
+
+// Convert createResponse input into Responses input items. Message content
+// may use the Responses part types or the same parts as chatCompletion (one
+// style per message); other items, such as function_call_output, pass
+// through.
+function toResponsesInput(input) {
+  if (typeof input === "string") return input;
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error("Input must be a string or a non-empty array of items");
+  }
+
+  return input.map((item, index) => {
+    if (!item || !item.role || !Array.isArray(item.content)) return item;
+    if (item.content.every(responses.isInputPart)) return item;
+    return {
+      ...item,
+      content: toOpenAIContent(item.content, index).map((part) =>
+        responses.toInputPart(part, item.role)
+      ),
+    };
+  });
+}
+
+// The text of createResponse input and instructions, for the moderation
+// guard
+function responsesInputText(input, instructions) {
+  const items = typeof input === "string" ? [{ content: input }] : input;
+  const texts = items.map((item) =>
+    Array.isArray(item.content)
+      ? item.content
+          .filter((part) => ["text", "input_text"].includes(part?.type))
+          .map((part) => part.text)
+          .join("\n")
+      : typeof item.content === "string"
+        ? item.content
+        : ""
+  );
+  return instructions ? [instructions, ...texts] : texts;
+}
+
+// Call the Responses API; GET and DELETE address a stored response by id
+async function requestResponses(path, { provider, model, method, body }) {
+  const startedAt = Date.now();
+  if (method === "POST") USAGE_LEDGER.checkBudget();
+
+  const response = await openaiFetch(path, { provider, model, method, body });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  const data = await response.json();
+  if (method === "POST") recordUsage(data, provider, startedAt);
+  return data;
+}
+
+// MCP result for a response object
+function responseResult(data) {
+  const output = responses.responseOutput(data);
+  const content = output.content.length
+    ? output.content
+    : [{ type: "text", text: "" }];
+
+  return {
+    content,
+    structuredContent: {
+      id: data.id,
+      status: data.status,
+      output_text: output.text,
+      function_calls: output.functionCalls.length
+        ? output.functionCalls
+        : undefined,
+      reasoning_summary: output.reasoning || undefined,
+    },
+    metadata: {
+      response_id: data.id,
+      model: data.model,
+      status: data.status,
+      previous_response_id: data.previous_response_id || undefined,
+      usage: data.usage,
+      incomplete_reason: data.incomplete_details?.reason,
+      moderation: MODERATION_RESULTS.get(data),
+    },
+  };
+}
+
+// Call a JSON endpoint of the Files or Batch API
+async function requestBatchApi(path, { provider, method = "POST", body } = {}) {
+  const response = await openaiFetch(path, { provider, method, body });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  return await response.json();
+}
+
+// Download the contents of an uploaded or generated file
+async function downloadFile(fileId, provider) {
+  const response = await openaiFetch(
+    `/files/${encodeURIComponent(fileId)}/content`,
+    { provider, method: "GET" }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  return await response.text();
+}
+
+// The request body for one entry of a batch, built from the same arguments
+// as the matching tool. `model` is the batch-wide default.
+function batchRequestBody(endpoint, request, model, index) {
+  if (request.stream) {
+    throw new Error(`requests[${index}]: batch requests cannot be streamed`);
+  }
+  const params = Object.fromEntries(
+    Object.entries(request).filter(
+      ([key]) => !batches.SERVER_ONLY_PARAMS.includes(key)
+    )
+  );
+
+  if (endpoint === "createEmbedding") {
+    if (params.input === undefined) {
+      throw new Error(`requests[${index}]: input is required`);
+    }
+    return {
+      ...params,
+      model: MODEL_POLICY.resolveModel(params.model || model, {
+        tool: "createEmbedding",
+        family: "embedding",
+      }),
+    };
+  }
+
+  if (!Array.isArray(params.messages) || params.messages.length === 0) {
+    throw new Error(`requests[${index}]: messages must be a non-empty array`);
+  }
+  const resolvedModel = MODEL_POLICY.resolveModel(params.model || model, {
+    tool: "chatCompletion",
+    family: "chat",
+  });
+  // Requests without max_tokens get the model's ceiling, as the API's own
+  // default has none
+  return {
+    ...params,
+    ...MODEL_POLICY.applyLimits(resolvedModel, {
+      temperature: params.temperature,
+      max_tokens:
+        params.max_tokens ?? MODEL_POLICY.limitsFor(resolvedModel).max_tokens,
+    }),
+    model: resolvedModel,
+    messages: params.messages.map((message, messageIndex) => ({
+      ...message,
+      content: toOpenAIContent(message.content, messageIndex),
+    })),
+  };
+}
+
+// The parts of a Batch API object kept in the local record
+function batchFields(data) {
+  return {
+    status: data.status,
+    request_counts: data.request_counts,
+    output_file_id: data.output_file_id || undefined,
+    error_file_id: data.error_file_id || undefined,
+    errors: data.errors?.data,
+  };
+}
+
+// Poll a batch and update its local record. Finished batches no longer
+// change, so they are not polled again, but their results are collected.
+async function refreshBatch(id) {
+  let record = await batches.getBatch(BATCHES_DIR, id);
+  if (!batches.FINAL_STATUSES.includes(record.status)) {
+    const data = await requestBatchApi(`/batches/${encodeURIComponent(id)}`, {
+      provider: record.provider,
+      method: "GET",
+    });
+    record = await batches.updateBatch(BATCHES_DIR, id, batchFields(data));
+  }
+  if (batches.FINAL_STATUSES.includes(record.status)) {
+    await collectBatch(record);
+  }
+  return record;
+}
+
+// Batch ids whose results are being downloaded
+const BATCH_COLLECTIONS = new Map();
+
+// Download a finished batch's output and error files and add its usage to
+// the ledger at the batch price. This happens once, the first time the batch
+// is seen finished, so its spend counts against the budget whether or not
+// anyone fetches the results. Returns the results text.
+function collectBatch(record) {
+  if (BATCH_COLLECTIONS.has(record.id)) return BATCH_COLLECTIONS.get(record.id);
+
+  const collection = (async () => {
+    let text = await batches.readBatchResults(BATCHES_DIR, record.id);
+    if (text !== undefined) return text;
+
+    const startedAt = Date.now();
+    const files = [record.output_file_id, record.error_file_id].filter(Boolean);
+    const parts = [];
+    for (const fileId of files) {
+      parts.push(await downloadFile(fileId, record.provider));
+    }
+    text = parts.join("\n");
+    await batches.saveBatchResults(BATCHES_DIR, record.id, text);
+
+    recordBatchUsage(
+      Object.values(batches.parseBatchOutput(text)).map((entry) =>
+        batchResult(record.endpoint, entry)
+      ),
+      record.provider,
+      startedAt
+    );
+    return text;
+  })();
+  BATCH_COLLECTIONS.set(record.id, collection);
+  return collection.finally(() => BATCH_COLLECTIONS.delete(record.id));
+}
+
+function describeBatch(record) {
+  const counts = record.request_counts;
+  return `${record.id}${record.description ? ` "${record.description}"` : ""}: ${record.status}, ${
+    counts
+      ? `${counts.completed}/${counts.total} completed, ${counts.failed} failed`
+      : `${record.requests} requests`
+  } (${record.endpoint}, created: ${record.created})`;
+}
+
+// Turn one line of batch output into the result a client needs: the reply
+// text or embeddings, or the error
+function batchResult(endpoint, entry) {
+  if (entry.error || entry.status_code !== 200) {
+    return {
+      status_code: entry.status_code,
+      error: entry.error || { message: "Request failed" },
+    };
+  }
+
+  const { body } = entry;
+  if (endpoint === "createEmbedding") {
+    return {
+      status_code: entry.status_code,
+      model: body.model,
+      embeddings: body.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      usage: body.usage,
+    };
+  }
+
+  const choice = body.choices?.[0] || {};
+  return {
+    status_code: entry.status_code,
+    model: body.model,
+    content: choice.message?.content ?? null,
+    tool_calls: choice.message?.tool_calls,
+    refusal: choice.message?.refusal || undefined,
+    finish_reason: choice.finish_reason,
+    usage: body.usage,
+  };
+}
+
+// Add a finished batch's token usage to the ledger, one entry per model,
+// priced at the batch discount
+function recordBatchUsage(results, provider, startedAt) {
+  const byModel = {};
+  for (const result of results) {
+    if (!result.usage) continue;
+    const total = (byModel[result.model] ||= {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+    });
+    total.prompt_tokens += result.usage.prompt_tokens || 0;
+    total.completion_tokens += result.usage.completion_tokens || 0;
+    total.total_tokens += result.usage.total_tokens || 0;
+  }
+  for (const [model, usage] of Object.entries(byModel)) {
+    recordUsage({ model, usage }, provider, startedAt, {
+      discount: batches.BATCH_DISCOUNT,
+    });
+  }
+}
+
+// Call the moderations endpoint
+async function requestModeration(body, provider) {
+  const response = await openaiFetch("/moderations", {
+    provider,
+    model: body.model,
+    body,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  return await response.json();
+}
+
+// The text of a message's content, whether a string or an array of parts
+function messageText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((part) => part && part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+// Inputs sent in one moderation request
+const MODERATION_SLICE = 32;
+
+// Run the moderation guard over a list of texts (messages or choices).
+// Violations name the index of the text they were found in. In block mode
+// any violation raises an error; otherwise the findings are returned.
+async function guardContent(stage, texts) {
+  const indexes = texts
+    .map((text, index) => (text && text.trim() ? index : -1))
+    .filter((index) => index >= 0);
+  if (indexes.length === 0) return undefined;
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenAI API error: ${errorText}`);
+  // Long lists, such as the requests of a batch, are checked in slices
+  const violations = [];
+  for (let start = 0; start < indexes.length; start += MODERATION_SLICE) {
+    const slice = indexes.slice(start, start + MODERATION_SLICE);
+    const data = await requestModeration(
+      {
+        model: MODERATION.model,
+        input: slice.map((index) => texts[index]),
+      },
+      MODERATION.provider
+    );
+    for (const [position, result] of data.results.entries()) {
+      for (const violation of MODERATION.violations(result)) {
+        violations.push({ index: slice[position], ...violation });
       }
+    }
+  }
+  if (violations.length > 0) {
+    LOGGER.warn(`Moderation ${stage} violations:`, { violations });
+    if (MODERATION.action === "block") {
+      throw moderationError(stage, violations);
+    }
+  }
+  return { flagged: violations.length > 0, violations };
+}
 
-      const data = await response.json();
+// Apply the output guard to a chat response and keep the guard's findings
+// beside it. Each choice is checked as one text: its content followed by the
+// arguments of any tool calls.
+async function guardOutput(data, moderation) {
+  if (MODERATION.checkOutput) {
+    moderation.output = await guardContent(
+      "output",
+      (data.choices || []).map((choice) =>
+        [
+          messageText(choice.message?.content),
+          ...(choice.message?.tool_calls || []).map(
+            (call) => call.function?.arguments
+          ),
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )
+    );
+  }
+  if (moderation.input || moderation.output) {
+    MODERATION_RESULTS.set(data, moderation);
+  }
+  return data;
+}
 
-      // Return a summary of the embedding (not the full vector which would be too large)
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Embedding generated successfully. Vector dimension: ${data.data[0].embedding.length}`,
-          },
-        ],
-        metadata: {
-          model: data.model,
-          usage: data.usage,
-        },
-      };
-    } catch (error) {
-      log("Error in createEmbedding:", error);
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error: ${error.message}`,
-          },
-        ],
-        metadata: {},
-        isError: true,
+// Call the embeddings endpoint after applying the model policy. OpenAI does
+// not promise response order, so the returned data is sorted back into input
+// order. Each input is cached on its own, so only inputs not embedded before
+// are sent upstream.
+async function requestEmbeddings(
+  openaiRequest,
+  provider,
+  { tool = "createEmbedding", bypassCache = false } = {}
+) {
+  const body = {
+    ...openaiRequest,
+    model: MODEL_POLICY.resolveModel(openaiRequest.model, {
+      tool,
+      family: "embedding",
+    }),
+  };
+
+  // A single input may itself be an array of token ids
+  const inputs =
+    Array.isArray(body.input) &&
+    body.input.every((item) => typeof item !== "number")
+      ? body.input
+      : [body.input];
+  const keys = inputs.map((input) =>
+    cacheKey("/embeddings", getProvider(provider).name, { ...body, input })
+  );
+
+  const embeddings = new Array(inputs.length);
+  if (RESPONSE_CACHE && !bypassCache) {
+    for (let i = 0; i < inputs.length; i++) {
+      embeddings[i] = await RESPONSE_CACHE.get(keys[i]);
+    }
+  }
+  const missing = [...inputs.keys()].filter((i) => !embeddings[i]);
+
+  let data = {
+    object: "list",
+    model: body.model,
+    usage: { prompt_tokens: 0, total_tokens: 0 },
+  };
+
+  if (missing.length > 0) {
+    USAGE_LEDGER.checkBudget();
+    const startedAt = Date.now();
+
+    const response = await openaiFetch("/embeddings", {
+      provider,
+      model: body.model,
+      body:
+        missing.length === inputs.length
+          ? body
+          : { ...body, input: missing.map((i) => inputs[i]) },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw apiError(response, errorText);
+    }
+
+    data = await response.json();
+    recordUsage(data, provider, startedAt);
+
+    for (const item of data.data) {
+      const i = missing[item.index];
+      embeddings[i] = item.embedding;
+      if (RESPONSE_CACHE) await RESPONSE_CACHE.set(keys[i], item.embedding);
+    }
+  }
+
+  data.data = embeddings.map((embedding, index) => ({
+    object: "embedding",
+    index,
+    embedding,
+  }));
+
+  if (RESPONSE_CACHE) {
+    let status = "miss";
+    if (bypassCache) status = "bypass";
+    else if (missing.length === 0) status = "hit";
+    else if (missing.length < inputs.length) status = "partial";
+    CACHE_STATUS.set(data, status);
+  }
+  return data;
+}
+
+// Call an images endpoint. Generations take JSON; edits and variations take
+// multipart form data carrying the input files.
+async function requestImages(path, { model, fields, files = [], provider }) {
+  const params = { model, ...fields };
+  // gpt-image models always return base64 and reject response_format
+  if (!images.imageModelInfo(model)?.base64Only) {
+    params.response_format = "b64_json";
+  }
+
+  let body = params;
+  if (files.length > 0) {
+    body = new FormData();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) body.append(key, String(value));
+    }
+    for (const { field, buffer, type, filename } of files) {
+      body.append(field, new Blob([buffer], { type }), filename);
+    }
+  }
+
+  USAGE_LEDGER.checkBudget();
+  const startedAt = Date.now();
+
+  const response = await openaiFetch(path, { provider, model, body });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  const data = await response.json();
+  // gpt-image models report tokens; DALL-E is priced per image
+  const usage = data.usage || {
+    images: data.data.length,
+    size: fields.size,
+    quality: fields.quality,
+  };
+  recordUsage({ ...data, model, usage }, provider, startedAt);
+  return data;
+}
+
+// Turn an images API response into MCP image blocks, saving the images when
+// asked to
+async function imageResult(data, { tool, model, outputFormat, save }) {
+  const mimeType = `image/${outputFormat || "png"}`;
+  const blocks = data.data
+    .filter((item) => item.b64_json)
+    .map((item) => ({ type: "image", data: item.b64_json, mimeType }));
+  const urls = data.data.filter((item) => item.url).map((item) => item.url);
+  const revisedPrompts = data.data
+    .map((item) => item.revised_prompt)
+    .filter(Boolean);
+
+  const saved =
+    save === true
+      ? await images.saveImages(IMAGE_OUTPUT_DIR, blocks, tool)
+      : [];
+
+  const lines = [`Created ${data.data.length} image(s) with ${model}`];
+  for (const prompt of revisedPrompts) lines.push(`Revised prompt: ${prompt}`);
+  for (const file of saved) lines.push(`Saved to ${file}`);
+  for (const url of urls) lines.push(`URL: ${url}`);
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }, ...blocks],
+    metadata: {
+      model,
+      count: data.data.length,
+      usage: data.usage,
+      revised_prompts: revisedPrompts.length ? revisedPrompts : undefined,
+      saved: saved.length ? saved : undefined,
+    },
+  };
+}
+
+// Transcribe a recording. The reply is always requested as JSON, so its
+// usage or audio length reaches the ledger whatever format the caller wants;
+// text, srt and vtt are rendered from it.
+async function requestTranscription({ model, file, fields, provider }) {
+  const { response_format: format = "json", ...params } = fields;
+  const body = new FormData();
+  body.append("model", model);
+  body.append("response_format", audio.transcriptionRequestFormat(model));
+  body.append(
+    "file",
+    new Blob([file.buffer], { type: file.type }),
+    file.filename
+  );
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    if (Array.isArray(value)) {
+      for (const item of value) body.append(`${key}[]`, String(item));
+    } else {
+      body.append(key, String(value));
+    }
+  }
+
+  USAGE_LEDGER.checkBudget();
+  const startedAt = Date.now();
+
+  const response = await openaiFetch("/audio/transcriptions", {
+    provider,
+    model,
+    body,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  // The gpt-4o models report tokens, whisper-1 the length of the audio
+  const data = await response.json();
+  const usage =
+    data.usage ||
+    (data.duration !== undefined ? { seconds: data.duration } : undefined);
+  recordUsage({ ...data, model, usage }, provider, startedAt);
+  return audio.formatTranscription(data, format);
+}
+
+// Synthesize speech, returning the audio bytes
+async function requestSpeech(params, provider) {
+  USAGE_LEDGER.checkBudget();
+  const startedAt = Date.now();
+
+  const response = await openaiFetch("/audio/speech", {
+    provider,
+    model: params.model,
+    body: params,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw apiError(response, errorText);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  recordUsage(
+    { model: params.model, usage: { characters: params.input.length } },
+    provider,
+    startedAt
+  );
+  return buffer;
+}
+
+// Parse a JSON reply and check it against the schema, if any. Models without
+// a native JSON mode sometimes wrap the JSON in a code fence.
+function checkStructuredReply(text, schema) {
+  const json = (text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { errors: [`(root): not valid JSON (${error.message})`] };
+  }
+  return { value, errors: schema ? validateValue(schema, value) : [] };
+}
+
+// Embed texts for a vector store collection, batching large inputs
+function collectionEmbedder(collection) {
+  return async (texts) => {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const openaiRequest = {
+        model: collection.model,
+        input: texts.slice(i, i + EMBEDDING_BATCH_SIZE),
       };
+      if (collection.dimensions !== undefined) {
+        openaiRequest.dimensions = collection.dimensions;
+      }
+      const data = await requestEmbeddings(openaiRequest, collection.provider);
+      vectors.push(...data.data.map((item) => item.embedding));
     }
+    return vectors;
+  };
+}
+
+// Connected MCP server instances, one per client session, with the resource
+// URIs each client subscribed to, so changes can be announced to every client
+const SERVERS = new Map();
+
+function notifyResourceListChanged() {
+  for (const server of SERVERS.keys()) {
+    server.sendResourceListChanged().catch((error) => {
+      LOGGER.error("Error sending resource list change:", error.message);
+    });
+  }
+}
+
+function notifyResourceUpdated(uri) {
+  for (const [server, subscriptions] of SERVERS) {
+    if (!subscriptions.has(uri)) continue;
+    server.sendResourceUpdated({ uri }).catch((error) => {
+      LOGGER.error("Error sending resource update:", error.message);
+    });
+  }
+}
+
+function notifyPromptListChanged() {
+  for (const server of SERVERS.keys()) {
+    server.sendPromptListChanged().catch((error) => {
+      LOGGER.error("Error sending prompt list change:", error.message);
+    });
+  }
+}
+
+function conversationUri(id) {
+  return `openai://conversations/${id}`;
+}
+
+// The default provider's model list as last fetched, for the models
+// resources. Clients are told when the set of model ids changes.
+let modelSnapshot;
+
+async function refreshModels() {
+  const data = await requestModels();
+  const ids = data.data
+    .map((model) => model.id)
+    .sort()
+    .join("\n");
+  const changed = modelSnapshot !== undefined && modelSnapshot.ids !== ids;
+  modelSnapshot = { ids, data, fetched: Date.now() };
+
+  if (changed) {
+    LOGGER.info("Upstream model list changed");
+    notifyResourceListChanged();
+    notifyResourceUpdated("openai://models");
+  }
+  return data;
+}
+
+async function currentModels() {
+  if (
+    modelSnapshot &&
+    (MODEL_REFRESH_MS === 0 ||
+      Date.now() - modelSnapshot.fetched < MODEL_REFRESH_MS)
+  ) {
+    return modelSnapshot.data;
+  }
+  return refreshModels();
+}
+
+// The settings in effect, with API keys, tokens and custom headers redacted
+function effectiveConfig() {
+  return {
+    transport: TRANSPORT,
+    http:
+      TRANSPORT === "http"
+        ? {
+            host: HTTP_HOST,
+            port: HTTP_PORT,
+            auth_tokens: MCP_AUTH_TOKENS.length ? REDACTED : [],
+            cors_origins: CORS_ORIGINS,
+            session_idle_ms: MCP_SESSION_IDLE_MS,
+            rest_api: REST_API,
+            rest_api_keys: REST_API_KEYS.length ? REDACTED : [],
+          }
+        : undefined,
+    default_provider: DEFAULT_PROVIDER,
+    providers: Object.values(PROVIDERS).map((provider) => ({
+      ...provider,
+      apiKey: provider.apiKey ? REDACTED : undefined,
+      headers: provider.headers
+        ? Object.fromEntries(
+            Object.keys(provider.headers).map((name) => [name, REDACTED])
+          )
+        : undefined,
+    })),
+    model_policy: {
+      defaults: MODEL_POLICY.defaults,
+      allowed: MODEL_POLICY.allowed,
+      denied: MODEL_POLICY.denied,
+      aliases: MODEL_POLICY.aliases,
+    },
+    upstream: UPSTREAM_SETTINGS,
+    moderation: {
+      input: MODERATION.checkInput,
+      output: MODERATION.checkOutput,
+      action: MODERATION.action,
+      model: MODERATION.model,
+      provider: MODERATION.provider,
+      thresholds: MODERATION.thresholds,
+    },
+    response_cache: RESPONSE_CACHE
+      ? {
+          dir: process.env.RESPONSE_CACHE_DIR,
+          ttl_seconds: Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || 86400,
+          max_entries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+          max_mb: Number(process.env.RESPONSE_CACHE_MAX_MB) || 64,
+        }
+      : false,
+    usage: {
+      ledger_path: process.env.USAGE_LEDGER_PATH || DEFAULT_LEDGER_PATH,
+      price_table_file: process.env.PRICE_TABLE_FILE,
+      daily_budget_usd: process.env.DAILY_BUDGET_USD,
+      monthly_budget_usd: process.env.MONTHLY_BUDGET_USD,
+    },
+    vector_store_dir: VECTOR_STORE_DIR,
+    conversations_dir: CONVERSATIONS_DIR,
+    prompts_dir: PROMPTS_DIR,
+    image_output_dir: IMAGE_OUTPUT_DIR,
+    audio_output_dir: AUDIO_OUTPUT_DIR,
+    input_files_dir: INPUT_FILES_DIR,
+    batches_dir: BATCHES_DIR,
+    tools: {
+      enabled: TOOLS_ENABLED,
+      disabled: TOOLS_DISABLED,
+      plugins_dir: TOOL_PLUGINS_DIR,
+      plugins: TOOL_PLUGINS,
+      registered: TOOLS.describe(),
+    },
+    max_inline_image_bytes: MAX_INLINE_IMAGE_BYTES,
+    model_refresh_seconds: MODEL_REFRESH_MS / 1000,
+    log: {
+      level: LOGGER.level,
+      file: LOG_FILE,
+      max_mb: Number(process.env.LOG_MAX_MB) || 10,
+      max_files:
+        process.env.LOG_MAX_FILES !== undefined
+          ? Number(process.env.LOG_MAX_FILES)
+          : 5,
+      redact_content: process.env.LOG_REDACT_CONTENT === "true",
+      expose_resource: EXPOSE_LOG_RESOURCE,
+    },
+  };
+}
+
+// What plugin tools get to call OpenAI the way the built-in tools do: the
+// provider-aware fetch, model policy, budget checks and usage recording, and
+// the server's logger
+const PLUGIN_CONTEXT = {
+  // The same calls chatCompletion and createEmbedding make, with the model
+  // policy, moderation guard, budget caps, cache and usage ledger applied
+  requestChatCompletion: (args, options = {}) =>
+    requestChatCompletion(args, {
+      tool: requestContext.getStore()?.tool,
+      ...options,
+    }),
+  requestEmbeddings: (body, provider) =>
+    requestEmbeddings(body, provider, {
+      tool: requestContext.getStore()?.tool,
+    }),
+  // Lower-level access for other endpoints. Calls are refused once a budget
+  // cap is reached; the plugin applies the model policy and records usage.
+  openaiFetch: (path, options) => {
+    USAGE_LEDGER.checkBudget();
+    return openaiFetch(path, options);
   },
+  apiError,
+  resolveModel: MODEL_POLICY.resolveModel,
+  checkBudget: () => USAGE_LEDGER.checkBudget(),
+  recordUsage,
+  logger: LOGGER,
 };
 
-// Start the MCP server
-async function main() {
-  log("Starting OpenAI MCP server...");
+// The server internals the built-in tool modules in tools/ work with
+const TOOL_CONTEXT = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  VECTOR_STORE_DIR,
+  CONVERSATIONS_DIR,
+  PROMPTS_DIR,
+  IMAGE_OUTPUT_DIR,
+  AUDIO_OUTPUT_DIR,
+  BATCHES_DIR,
+  MODEL_POLICY,
+  MODERATION,
+  USAGE_LEDGER,
+  CACHE_STATUS,
+  MODERATION_RESULTS,
+  INPUT_FILES,
+  getProvider,
+  requestModels,
+  requestChatCompletion,
+  toResponsesInput,
+  responsesInputText,
+  requestResponses,
+  responseResult,
+  requestBatchApi,
+  batchRequestBody,
+  batchFields,
+  refreshBatch,
+  collectBatch,
+  describeBatch,
+  batchResult,
+  requestModeration,
+  messageText,
+  guardContent,
+  requestEmbeddings,
+  requestImages,
+  imageResult,
+  requestTranscription,
+  requestSpeech,
+  checkStructuredReply,
+  collectionEmbedder,
+  notifyResourceListChanged,
+  notifyResourceUpdated,
+  conversationUri,
+  refreshModels,
+};
 
-  try {
-    // Create server instance
-    const server = new Server(
-      { name: "openai", version: "1.0.0" },
-      { capabilities: { tools: {} } }
-    );
+// Register the built-in tools in the order clients list them
+for (const tools of [
+  modelTools,
+  chatTools,
+  embeddingTools,
+  collectionTools,
+  usageTools,
+  conversationTools,
+  promptTools,
+  imageTools,
+  responseTools,
+  batchTools,
+  moderationTools,
+  audioTools,
+]) {
+  for (const tool of tools(TOOL_CONTEXT)) TOOLS.register(tool);
+}
 
-    log("Server instance created");
+// The tool error for arguments that do not match the input schema, listing
+// each problem by field
+function invalidArguments(toolName, errors) {
+  LOGGER.warn(`Invalid arguments for ${toolName}`, { errors });
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Error: Invalid arguments for ${toolName}:\n${errors
+          .map(({ field, message }) => `- ${field}: ${message}`)
+          .join("\n")}`,
+      },
+    ],
+    metadata: { validation_errors: errors },
+    isError: true,
+  };
+}
 
-    // Handle list tools request
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-      log("Received list tools request");
+// Create an MCP server instance with all handlers registered. The HTTP
+// transport creates one per client session; stdio uses a single instance.
+function createServer() {
+  // Create server instance
+  const server = new Server(
+    { name: "openai", version: "1.0.0" },
+    {
+      capabilities: {
+        tools: {},
+        resources: { listChanged: true, subscribe: true },
+        prompts: { listChanged: true },
+      },
+    }
+  );
 
-      // Define the tool schemas
-      const LIST_MODELS_TOOL = {
-        name: "listModels",
-        description: "List available OpenAI models",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      };
+  SERVERS.set(server, new Set());
+  server.onclose = () => SERVERS.delete(server);
 
-      const CHAT_COMPLETION_TOOL = {
-        name: "chatCompletion",
-        description: "Generate a response using OpenAI's chat completion API",
-        inputSchema: {
-          type: "object",
-          properties: {
-            model: {
-              type: "string",
-              description: "The model to use (e.g., gpt-3.5-turbo, gpt-4)",
-            },
-            messages: {
-              type: "array",
-              description: "The conversation messages",
-              items: {
-                type: "object",
-                properties: {
-                  role: {
-                    type: "string",
-                    description:
-                      "The role of the message sender (system, user, assistant)",
-                  },
-                  content: {
-                    type: "string",
-                    description: "The content of the message",
-                  },
-                },
-              },
-            },
-            temperature: {
-              type: "number",
-              description: "Controls randomness (0-1)",
-            },
-            max_tokens: {
-              type: "number",
-              description: "Maximum number of tokens to generate",
-            },
-          },
-          required: ["messages"],
-        },
-      };
+  log("Server instance created");
 
-      const CREATE_EMBEDDING_TOOL = {
-        name: "createEmbedding",
-        description:
-          "Generate embeddings for text using OpenAI's embedding API",
-        inputSchema: {
-          type: "object",
-          properties: {
-            model: {
-              type: "string",
-              description: "The model to use (e.g., text-embedding-ada-002)",
-            },
-            input: {
-              type: ["string", "array"],
-              description:
-                "The text to embed, can be a string or array of strings",
-            },
-          },
-          required: ["input"],
-        },
-      };
+  // Handle list tools request
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    log("Received list tools request");
 
-      return {
-        tools: [LIST_MODELS_TOOL, CHAT_COMPLETION_TOOL, CREATE_EMBEDDING_TOOL],
-      };
-    });
+    return { tools: TOOLS.list() };
+  });
 
-    // Handle tool calls
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const toolName = request.params.name;
-      log("Received tool call:", toolName);
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const toolName = request.params.name;
+    // Calls are attributed to the tool, client and session in the ledger,
+    // and every log entry made during the call carries its request id
+    const context = {
+      request_id: randomUUID(),
+      tool: toolName,
+      caller: server.getClientVersion()?.name,
+      session: extra?.sessionId,
+    };
+
+    return requestContext.run(context, async () => {
+      const startedAt = Date.now();
+      LOGGER.info("Received tool call:", toolName);
 
       try {
-        const handler = HANDLERS[toolName];
-        if (!handler) {
-          throw new Error(`Unknown tool: ${toolName}`);
+        const tool = TOOLS.get(toolName);
+        if (!tool) {
+          throw new Error(
+            TOOLS.has(toolName)
+              ? `Tool is disabled: ${toolName}`
+              : `Unknown tool: ${toolName}`
+          );
         }
-        return await handler(request);
+
+        // Arguments are checked against the tool's schema first, so callers
+        // get field-level errors rather than the API's rejection
+        const { value, errors } = checkArguments(
+          tool.inputSchema,
+          request.params.arguments || {}
+        );
+        const result =
+          errors.length > 0
+            ? invalidArguments(toolName, errors)
+            : await tool.handler(
+                { ...request, params: { ...request.params, arguments: value } },
+                extra
+              );
+
+        LOGGER.info("Tool call finished", {
+          duration_ms: Date.now() - startedAt,
+          is_error: result.isError === true,
+        });
+        return {
+          ...result,
+          metadata: { ...result.metadata, request_id: context.request_id },
+        };
       } catch (error) {
-        log("Error handling tool call:", error);
+        LOGGER.error("Error handling tool call:", error);
         return {
           content: [
             {
@@ -352,33 +1681,342 @@ async function main() {
               text: `Error: ${error.message}`,
             },
           ],
+          metadata: { request_id: context.request_id },
           isError: true,
         };
       }
     });
+  });
+
+  // Resources: the model list and each model, the server log (when exposed),
+  // the effective configuration and conversation transcripts
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    log("Received list resources request");
+
+    const resources = [
+      {
+        uri: "openai://models",
+        name: "Models",
+        description: `Models available from the ${DEFAULT_PROVIDER} provider`,
+        mimeType: "application/json",
+      },
+      {
+        uri: "openai://config",
+        name: "Configuration",
+        description: "Effective server configuration with secrets redacted",
+        mimeType: "application/json",
+      },
+    ];
+    if (EXPOSE_LOG_RESOURCE) {
+      resources.splice(1, 0, {
+        uri: "openai://log",
+        name: "Server log",
+        description: "Recent log entries, one JSON object per line",
+        mimeType: "text/plain",
+      });
+    }
+
+    try {
+      const models = await currentModels();
+      for (const model of models.data) {
+        resources.push({
+          uri: `openai://models/${encodeURIComponent(model.id)}`,
+          name: model.id,
+          mimeType: "application/json",
+        });
+      }
+    } catch (error) {
+      // The other resources are still useful while the API is unreachable
+      LOGGER.error("Error listing model resources:", error);
+    }
+
+    const list = await conversations.listConversations(CONVERSATIONS_DIR);
+    for (const c of list) {
+      resources.push({
+        uri: conversationUri(c.id),
+        name: c.title || c.id,
+        description: `Conversation with ${c.model}, ${c.messages} message(s)`,
+        mimeType: "application/json",
+      });
+    }
+
+    return { resources };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [
+      {
+        uriTemplate: "openai://models/{id}",
+        name: "Model",
+        description: "Details of one model from the default provider",
+        mimeType: "application/json",
+      },
+      {
+        uriTemplate: "openai://conversations/{id}",
+        name: "Conversation",
+        description: "Transcript and settings of a server-side conversation",
+        mimeType: "application/json",
+      },
+    ],
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    log("Received read resource request:", uri);
+
+    const json = (value) => ({
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(value, null, 2),
+        },
+      ],
+    });
+
+    if (uri === "openai://models") {
+      const models = await currentModels();
+      return json(
+        models.data.map((model) => ({
+          ...model,
+          allowed: MODEL_POLICY.isAllowed(model.id),
+        }))
+      );
+    }
+    if (uri === "openai://log" && EXPOSE_LOG_RESOURCE) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "text/plain",
+            text: LOG_FILE
+              ? LOGGER.readTail(LOG_TAIL_BYTES) || "The log is empty"
+              : "File logging is off (LOG_FILE=none)",
+          },
+        ],
+      };
+    }
+    if (uri === "openai://config") {
+      return json(effectiveConfig());
+    }
+
+    const modelMatch = /^openai:\/\/models\/(.+)$/.exec(uri);
+    if (modelMatch) {
+      const id = decodeURIComponent(modelMatch[1]);
+      const model = (await currentModels()).data.find((m) => m.id === id);
+      if (!model) {
+        throw new Error(`Model not found: ${id}`);
+      }
+      return json({ ...model, allowed: MODEL_POLICY.isAllowed(model.id) });
+    }
+
+    const conversationMatch = /^openai:\/\/conversations\/([^/]+)$/.exec(uri);
+    if (conversationMatch) {
+      return json(
+        await conversations.getConversation(
+          CONVERSATIONS_DIR,
+          decodeURIComponent(conversationMatch[1])
+        )
+      );
+    }
+
+    throw new Error(`Unknown resource: ${uri}`);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    SERVERS.get(server)?.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    SERVERS.get(server)?.delete(request.params.uri);
+    return {};
+  });
+
+  // Prompts: templates from PROMPTS_DIR. MCP prompts have no system role, so
+  // system messages are returned as user messages.
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    log("Received list prompts request");
+
+    const templates = await promptTemplates.loadTemplates(
+      PROMPTS_DIR,
+      LOGGER.warn
+    );
+    return {
+      prompts: templates.map((template) => ({
+        name: template.name,
+        description: template.description,
+        arguments: template.arguments.map(
+          ({ name, description, required }) => ({
+            name,
+            description,
+            required,
+          })
+        ),
+      })),
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    log("Received get prompt request:", name);
+
+    const template = await promptTemplates.getTemplate(
+      PROMPTS_DIR,
+      name,
+      LOGGER.warn
+    );
+    return {
+      description: template.description,
+      messages: promptTemplates
+        .renderTemplate(template, args)
+        .map(({ role, content }) => ({
+          role: role === "assistant" ? "assistant" : "user",
+          content: { type: "text", text: content },
+        })),
+    };
+  });
+
+  return server;
+}
+
+// Start the MCP server
+async function main() {
+  if (CONFIG_ERRORS.length > 0) {
+    for (const message of CONFIG_ERRORS) LOGGER.error(message);
+    process.exit(1);
+  }
+  LOGGER.info("Starting OpenAI MCP server...");
+
+  try {
+    if (!["stdio", "http"].includes(TRANSPORT)) {
+      throw new Error(
+        `Unknown transport: ${TRANSPORT} (expected stdio or http)`
+      );
+    }
+    // The REST API spends the upstream key, so it is never left open
+    if (TRANSPORT === "http" && REST_API && REST_CLIENT_KEYS.length === 0) {
+      throw new Error(
+        "REST_API=true needs REST_API_KEYS or MCP_AUTH_TOKENS to authenticate clients"
+      );
+    }
+
+    // Plugins are loaded before any client can list the tools
+    if (TOOL_PLUGINS_DIR || TOOL_PLUGINS.length > 0) {
+      await TOOLS.loadPlugins(
+        { dir: TOOL_PLUGINS_DIR, modules: TOOL_PLUGINS },
+        PLUGIN_CONTEXT
+      );
+    }
+
+    // Tell clients when prompt templates are added, changed or removed
+    if (fs.existsSync(PROMPTS_DIR)) {
+      let pending;
+      fs.watch(PROMPTS_DIR, () => {
+        clearTimeout(pending);
+        pending = setTimeout(notifyPromptListChanged, 200);
+      }).unref();
+    }
+
+    // Watch the model list so clients hear about added or removed models
+    if (MODEL_REFRESH_MS > 0) {
+      setInterval(() => {
+        if (SERVERS.size === 0) return;
+        refreshModels().catch((error) => {
+          LOGGER.error("Error refreshing model list:", error);
+        });
+      }, MODEL_REFRESH_MS).unref();
+    }
+
+    if (TRANSPORT === "http") {
+      await startHttpServer({
+        createServer,
+        host: HTTP_HOST,
+        port: HTTP_PORT,
+        authTokens: MCP_AUTH_TOKENS,
+        corsOrigins: CORS_ORIGINS,
+        sessionIdleMs: MCP_SESSION_IDLE_MS,
+        routes: REST_API
+          ? [
+              createRestApi({
+                apiKeys: REST_CLIENT_KEYS,
+                // Each endpoint is only served while its tool is enabled
+                // Only models the policy allows are listed, as others
+                // would be refused
+                listModels:
+                  TOOLS.isEnabled("listModels") &&
+                  (async (provider) => {
+                    const data = await requestModels(provider);
+                    return {
+                      ...data,
+                      data: data.data.filter((model) =>
+                        MODEL_POLICY.isAllowed(model.id)
+                      ),
+                    };
+                  }),
+                chatCompletion:
+                  TOOLS.isEnabled("chatCompletion") &&
+                  ((body, onChunk) =>
+                    requestContext.run(
+                      {
+                        request_id: randomUUID(),
+                        tool: "rest:chat.completions",
+                        caller: "rest-api",
+                      },
+                      () =>
+                        requestChatCompletion(body, {
+                          onChunk,
+                          passThrough: true,
+                        })
+                    )),
+                createEmbeddings:
+                  TOOLS.isEnabled("createEmbedding") &&
+                  (({ provider, bypass_cache, ...body }) =>
+                    requestContext.run(
+                      {
+                        request_id: randomUUID(),
+                        tool: "rest:embeddings",
+                        caller: "rest-api",
+                      },
+                      () =>
+                        requestEmbeddings(body, provider, {
+                          bypassCache: bypass_cache === true,
+                        })
+                    )),
+                log: LOGGER.error,
+              }),
+            ]
+          : [],
+        log: LOGGER.info,
+        logError: LOGGER.error,
+      });
+      LOGGER.info(`HTTP transport listening on ${HTTP_HOST}:${HTTP_PORT}`);
+      return;
+    }
 
     // Connect to transport
+    const server = createServer();
     const transport = new StdioServerTransport();
     log("Created transport");
     await server.connect(transport);
-    log("Server connected and running");
+    LOGGER.info("Server connected and running");
   } catch (error) {
-    log("Fatal error:", error);
+    LOGGER.error("Fatal error:", error);
     process.exit(1);
   }
 }
 
 // Handle process events
 process.on("uncaughtException", (error) => {
-  console.error(`[${new Date().toISOString()}] Uncaught exception:`, error);
+  LOGGER.error("Uncaught exception:", error);
 });
 
 process.on("unhandledRejection", (error) => {
-  console.error(`[${new Date().toISOString()}] Unhandled rejection:`, error);
+  LOGGER.error("Unhandled rejection:", error);
 });
 
 // Run the server
 main().catch((error) => {
-  console.error(`[${new Date().toISOString()}] Error starting server:`, error);
+  LOGGER.error("Error starting server:", error);
   process.exit(1);
 });
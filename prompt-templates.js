@@ -0,0 +1,145 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+
+// Prompt templates loaded from YAML or JSON files in a directory, one
+// template per file:
+//
+//   name: code-review            # defaults to the file name
+//   description: Review a change for bugs and readability
+//   model: gpt-4o                # recommended settings, all optional
+//   temperature: 0.2
+//   max_tokens: 1000
+//   arguments:
+//     - name: code
+//       description: The code or diff to review
+//       required: true
+//     - name: focus
+//       default: correctness
+//   messages:
+//     - role: system
+//       content: You are a careful senior reviewer.
+//     - role: user
+//       content: "Review this code, focusing on {{focus}}:\n\n{{code}}"
+//
+// Files are read on every call, so edits take effect without a restart.
+
+export const DEFAULT_PROMPTS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "prompts"
+);
+
+const TEMPLATE_EXTENSIONS = [".yaml", ".yml", ".json"];
+const ROLES = ["system", "developer", "user", "assistant"];
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+
+function parseTemplate(file, text) {
+  const base = path.basename(file, path.extname(file));
+  const raw = file.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`${file}: expected a template object`);
+  }
+  if (!Array.isArray(raw.messages) || raw.messages.length === 0) {
+    throw new Error(`${file}: messages must be a non-empty array`);
+  }
+  raw.messages.forEach((message, index) => {
+    if (!ROLES.includes(message.role) || typeof message.content !== "string") {
+      throw new Error(
+        `${file}: messages[${index}] needs a role (${ROLES.join(", ")}) and string content`
+      );
+    }
+  });
+
+  const args = raw.arguments || [];
+  if (!Array.isArray(args) || args.some((arg) => !arg || !arg.name)) {
+    throw new Error(`${file}: arguments must be a list of { name, ... }`);
+  }
+
+  return {
+    name: String(raw.name || base),
+    description: raw.description || "",
+    model: raw.model,
+    temperature: raw.temperature,
+    max_tokens: raw.max_tokens,
+    arguments: args.map((arg) => ({
+      name: String(arg.name),
+      description: arg.description || "",
+      required: arg.required === true,
+      default: arg.default,
+    })),
+    messages: raw.messages.map(({ role, content }) => ({ role, content })),
+    file,
+  };
+}
+
+// Load every template in the directory. Files that fail to parse are
+// reported through `log` and skipped so one bad file does not hide the rest.
+export async function loadTemplates(dir, log = () => {}) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const templates = new Map();
+  for (const file of files.sort()) {
+    if (!TEMPLATE_EXTENSIONS.includes(path.extname(file))) continue;
+
+    try {
+      const template = parseTemplate(
+        file,
+        await fs.promises.readFile(path.join(dir, file), "utf8")
+      );
+      if (templates.has(template.name)) {
+        throw new Error(
+          `${file}: duplicate template name ${template.name} (also in ${
+            templates.get(template.name).file
+          })`
+        );
+      }
+      templates.set(template.name, template);
+    } catch (error) {
+      log("Skipping prompt template:", error.message);
+    }
+  }
+  return [...templates.values()];
+}
+
+export async function getTemplate(dir, name, log) {
+  const template = (await loadTemplates(dir, log)).find(
+    (candidate) => candidate.name === name
+  );
+  if (!template) {
+    throw new Error(`Prompt template not found: ${name}`);
+  }
+  return template;
+}
+
+// Substitute {{argument}} placeholders. Missing required arguments are an
+// error; optional ones fall back to their default or an empty string.
+export function renderTemplate(template, args = {}) {
+  const missing = template.arguments
+    .filter((arg) => arg.required && (args[arg.name] ?? "") === "")
+    .map((arg) => arg.name);
+  if (missing.length > 0) {
+    throw new Error(
+      `Prompt ${template.name} is missing required argument(s): ${missing.join(", ")}`
+    );
+  }
+
+  const values = {};
+  for (const arg of template.arguments) {
+    values[arg.name] = args[arg.name] ?? arg.default ?? "";
+  }
+
+  return template.messages.map(({ role, content }) => ({
+    role,
+    content: content.replace(PLACEHOLDER, (match, name) =>
+      name in values ? String(values[name]) : match
+    ),
+  }));
+}
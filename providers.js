@@ -0,0 +1,167 @@
+import fs from "node:fs";
+
+// Provider profiles describe where OpenAI-style requests are sent and how
+// they are authenticated. Three types are supported:
+//
+// - openai: api.openai.com or anything with the same URL layout, Bearer auth
+// - azure: Azure OpenAI, with deployment-scoped URLs, an api-version query
+//   parameter and an api-key header
+// - compatible: OpenAI-compatible servers such as llama.cpp or vLLM; the API
+//   key is optional
+//
+// Profiles come from environment variables and, optionally, a JSON file named
+// by PROVIDERS_FILE:
+//
+//   {
+//     "default": "local",
+//     "providers": {
+//       "local": { "type": "compatible", "baseUrl": "http://localhost:8080/v1" },
+//       "prod": {
+//         "type": "azure",
+//         "endpoint": "https://example.openai.azure.com",
+//         "apiKeyEnv": "PROD_AZURE_KEY",
+//         "apiVersion": "2024-10-21",
+//         "deployments": { "gpt-4o": "prod-gpt-4o" }
+//       }
+//     }
+//   }
+
+const PROVIDER_TYPES = ["openai", "azure", "compatible"];
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+// Parse "model=deployment,model2=deployment2" into an object
+function parseDeployments(value) {
+  if (!value) return {};
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([model, deployment]) => model && deployment)
+  );
+}
+
+function normalizeProfile(name, profile, env) {
+  const type = profile.type || "openai";
+  if (!PROVIDER_TYPES.includes(type)) {
+    throw new Error(
+      `Provider ${name}: type must be one of ${PROVIDER_TYPES.join(", ")}`
+    );
+  }
+
+  const apiKey =
+    profile.apiKey || (profile.apiKeyEnv ? env[profile.apiKeyEnv] : undefined);
+
+  if (type === "azure") {
+    if (!profile.endpoint) {
+      throw new Error(`Provider ${name}: azure profiles need an endpoint`);
+    }
+    return {
+      name,
+      type,
+      endpoint: profile.endpoint.replace(/\/+$/, ""),
+      apiKey,
+      apiVersion: profile.apiVersion || DEFAULT_AZURE_API_VERSION,
+      deployments: profile.deployments || {},
+    };
+  }
+
+  if (type === "compatible" && !profile.baseUrl) {
+    throw new Error(`Provider ${name}: compatible profiles need a baseUrl`);
+  }
+  return {
+    name,
+    type,
+    baseUrl: (profile.baseUrl || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    ),
+    apiKey,
+    organization: profile.organization,
+    headers: profile.headers || {},
+  };
+}
+
+export function loadProviders(env = process.env) {
+  const profiles = {
+    openai: {
+      type: "openai",
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      organization: env.OPENAI_ORGANIZATION,
+    },
+  };
+
+  if (env.AZURE_OPENAI_ENDPOINT) {
+    profiles.azure = {
+      type: "azure",
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      apiVersion: env.AZURE_OPENAI_API_VERSION,
+      deployments: parseDeployments(env.AZURE_OPENAI_DEPLOYMENTS),
+    };
+  }
+
+  if (env.OPENAI_COMPATIBLE_BASE_URL) {
+    profiles.compatible = {
+      type: "compatible",
+      baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+    };
+  }
+
+  let fileDefault;
+  if (env.PROVIDERS_FILE) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(env.PROVIDERS_FILE, "utf8"));
+    } catch (error) {
+      throw new Error(`PROVIDERS_FILE ${env.PROVIDERS_FILE}: ${error.message}`);
+    }
+    Object.assign(profiles, file.providers || {});
+    fileDefault = file.default;
+  }
+
+  const providers = {};
+  for (const [name, profile] of Object.entries(profiles)) {
+    providers[name] = normalizeProfile(name, profile, env);
+  }
+
+  const defaultName = env.OPENAI_PROVIDER || fileDefault || "openai";
+  if (!providers[defaultName]) {
+    throw new Error(`Default provider is not configured: ${defaultName}`);
+  }
+
+  return { providers, defaultName };
+}
+
+// Build the URL and headers for an API path such as "/chat/completions".
+// Azure routes model-specific paths through the deployment for that model.
+export function providerRequest(provider, path, { model } = {}) {
+  const headers = {};
+
+  if (provider.type === "azure") {
+    if (provider.apiKey) headers["api-key"] = provider.apiKey;
+
+    const base =
+      path === "/models" || path.startsWith("/models/") || !model
+        ? `${provider.endpoint}/openai`
+        : `${provider.endpoint}/openai/deployments/${encodeURIComponent(
+            provider.deployments[model] || model
+          )}`;
+    const separator = path.includes("?") ? "&" : "?";
+    return {
+      url: `${base}${path}${separator}api-version=${encodeURIComponent(
+        provider.apiVersion
+      )}`,
+      headers,
+    };
+  }
+
+  if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+  if (provider.organization) {
+    headers["OpenAI-Organization"] = provider.organization;
+  }
+  Object.assign(headers, provider.headers);
+
+  return { url: `${provider.baseUrl}${path}`, headers };
+}
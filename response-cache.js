@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { writeFileAtomic } from "./file-store.js";
+
+// Content-addressed cache for deterministic upstream responses. Entries are
+// keyed on a hash of the normalized request, kept in an in-memory LRU and,
+// when a directory is configured, persisted one JSON file per entry so they
+// survive restarts. Both tiers expire entries after a TTL and evict the
+// least recently used ones once they exceed their entry or byte limits.
+
+// JSON with object keys sorted, so requests that differ only in key order
+// share an entry
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function cacheKey(...parts) {
+  return createHash("sha256").update(canonicalJson(parts)).digest("hex");
+}
+
+export function createResponseCache({
+  dir,
+  ttlMs = 24 * 60 * 60 * 1000,
+  maxEntries = 1000,
+  maxBytes = 64 * 1024 * 1024,
+  log = () => {},
+} = {}) {
+  // key -> { text, expires }; Map order doubles as recency order
+  const memory = new Map();
+  let memoryBytes = 0;
+
+  // key -> { size, used } for the files on disk, read on first use
+  let diskIndex;
+  let diskBytes = 0;
+
+  function dropFromMemory(key) {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memory.delete(key);
+    memoryBytes -= entry.text.length;
+  }
+
+  function storeInMemory(key, text, expires) {
+    dropFromMemory(key);
+    memory.set(key, { text, expires });
+    memoryBytes += text.length;
+
+    for (const oldest of memory.keys()) {
+      if (memory.size <= maxEntries && memoryBytes <= maxBytes) break;
+      dropFromMemory(oldest);
+    }
+  }
+
+  function entryPath(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  async function loadDiskIndex() {
+    if (diskIndex) return diskIndex;
+
+    diskIndex = new Map();
+    let files = [];
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        const stat = await fs.promises.stat(path.join(dir, file));
+        diskIndex.set(file.slice(0, -5), {
+          size: stat.size,
+          used: stat.mtimeMs,
+        });
+        diskBytes += stat.size;
+      } catch (error) {
+        // Removed by another process since readdir
+      }
+    }
+    return diskIndex;
+  }
+
+  async function removeFromDisk(key) {
+    const index = await loadDiskIndex();
+    const entry = index.get(key);
+    if (!entry) return;
+    index.delete(key);
+    diskBytes -= entry.size;
+    await fs.promises.unlink(entryPath(key)).catch(() => {});
+  }
+
+  async function readFromDisk(key) {
+    const index = await loadDiskIndex();
+    if (!index.has(key)) return undefined;
+
+    try {
+      const entry = JSON.parse(
+        await fs.promises.readFile(entryPath(key), "utf8")
+      );
+      index.get(key).used = Date.now();
+      return entry;
+    } catch (error) {
+      await removeFromDisk(key);
+      return undefined;
+    }
+  }
+
+  async function writeToDisk(key, text, expires) {
+    const index = await loadDiskIndex();
+    const contents = JSON.stringify({ expires, text });
+    const size = Buffer.byteLength(contents);
+
+    await writeFileAtomic(entryPath(key), contents);
+
+    diskBytes -= index.get(key)?.size || 0;
+    index.set(key, { size, used: Date.now() });
+    diskBytes += size;
+
+    if (index.size <= maxEntries && diskBytes <= maxBytes) return;
+    const byAge = [...index].sort((a, b) => a[1].used - b[1].used);
+    for (const [oldest] of byAge) {
+      if (index.size <= maxEntries && diskBytes <= maxBytes) break;
+      await removeFromDisk(oldest);
+    }
+  }
+
+  // The cached value for a key, or undefined on a miss
+  async function get(key) {
+    let entry = memory.get(key);
+    if (entry) {
+      // Move to the most recently used end
+      memory.delete(key);
+      memory.set(key, entry);
+    } else if (dir) {
+      entry = await readFromDisk(key).catch((error) => {
+        log("Error reading response cache:", error.message);
+        return undefined;
+      });
+      if (entry) storeInMemory(key, entry.text, entry.expires);
+    }
+
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      dropFromMemory(key);
+      if (dir) await removeFromDisk(key);
+      return undefined;
+    }
+    return JSON.parse(entry.text);
+  }
+
+  async function set(key, value) {
+    const text = JSON.stringify(value);
+    const expires = Date.now() + ttlMs;
+    storeInMemory(key, text, expires);
+
+    if (dir) {
+      try {
+        await writeToDisk(key, text, expires);
+      } catch (error) {
+        log("Error writing response cache:", error.message);
+      }
+    }
+  }
+
+  return { get, set };
+}
@@ -0,0 +1,122 @@
+// Helpers for the Responses API: converting chat-style message content into
+// Responses input parts, and response output items into MCP content.
+
+export const REASONING_EFFORTS = ["minimal", "low", "medium", "high"];
+export const REASONING_SUMMARIES = ["auto", "concise", "detailed"];
+
+// Content part types the Responses API accepts as they are
+const INPUT_PART_TYPES = [
+  "input_text",
+  "input_image",
+  "input_file",
+  "output_text",
+  "refusal",
+];
+
+// Convert one chat-style content part (as produced by toOpenAIContent) into
+// a Responses input part. Earlier assistant turns carry output text.
+export function toInputPart(part, role) {
+  if (part.type === "text") {
+    return {
+      type: role === "assistant" ? "output_text" : "input_text",
+      text: part.text,
+    };
+  }
+  return {
+    type: "input_image",
+    image_url: part.image_url.url,
+    detail: part.image_url.detail || "auto",
+  };
+}
+
+export function isInputPart(part) {
+  return INPUT_PART_TYPES.includes(part && part.type);
+}
+
+// The Responses form of a chat-style response_format
+export function toTextFormat(responseFormat) {
+  if (responseFormat.type === "json_schema") {
+    return { type: "json_schema", ...responseFormat.json_schema };
+  }
+  return { type: responseFormat.type };
+}
+
+// Map the output items of a response to MCP content. Message text becomes
+// text blocks, reasoning summaries and function calls are shown as text and
+// also returned separately, and generated images become image blocks.
+export function responseOutput(response) {
+  const content = [];
+  const text = [];
+  const functionCalls = [];
+  const reasoning = [];
+
+  for (const item of response.output || []) {
+    switch (item.type) {
+      case "message":
+        for (const part of item.content || []) {
+          if (part.type === "output_text") {
+            text.push(part.text);
+            content.push({ type: "text", text: part.text });
+          } else if (part.type === "refusal") {
+            content.push({ type: "text", text: `Refusal: ${part.refusal}` });
+          }
+        }
+        break;
+
+      case "function_call":
+        functionCalls.push({
+          id: item.id,
+          call_id: item.call_id,
+          name: item.name,
+          arguments: item.arguments,
+        });
+        break;
+
+      case "reasoning": {
+        const summary = (item.summary || [])
+          .map((part) => part.text)
+          .join("\n\n");
+        if (summary) {
+          reasoning.push(summary);
+          content.push({
+            type: "text",
+            text: `Reasoning summary:\n${summary}`,
+          });
+        }
+        break;
+      }
+
+      case "image_generation_call":
+        if (item.result) {
+          content.push({
+            type: "image",
+            data: item.result,
+            mimeType: `image/${item.output_format || "png"}`,
+          });
+        }
+        break;
+
+      // Built-in tool calls (web search, file search, ...) are listed by
+      // type and status
+      default:
+        content.push({
+          type: "text",
+          text: `[${item.type}${item.status ? `: ${item.status}` : ""}]`,
+        });
+    }
+  }
+
+  if (functionCalls.length > 0) {
+    content.push({
+      type: "text",
+      text: `Function calls:\n${JSON.stringify(functionCalls, null, 2)}`,
+    });
+  }
+
+  return {
+    content,
+    text: text.join(""),
+    functionCalls,
+    reasoning: reasoning.join("\n\n"),
+  };
+}
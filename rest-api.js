@@ -0,0 +1,154 @@
+import { readJsonBody, tokenMatches } from "./http-transport.js";
+
+// OpenAI-compatible REST facade served alongside the MCP endpoints in HTTP
+// mode, so scripts written against the OpenAI REST API (see
+// client-example.js) can use this server unchanged:
+//
+// - GET /v1/models
+// - POST /v1/chat/completions (with stream: true for server-sent events)
+// - POST /v1/embeddings
+//
+// Clients authenticate with their own keys (x-api-key or a Bearer token),
+// never with the upstream OpenAI key, and at least one key is required.
+// Endpoints whose handler is not given are answered with 404. Errors use
+// OpenAI's error body shape.
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function errorBody(message, type, code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+// Upstream failures keep their status and, when it is already an OpenAI
+// error object, their body; anything else is a problem with the request
+function sendError(res, error) {
+  if (error.body !== undefined) {
+    try {
+      const body = JSON.parse(error.body);
+      if (body && body.error) return sendJson(res, error.status, body);
+    } catch (parseError) {
+      // Not JSON; wrap the raw text below
+    }
+    return sendJson(
+      res,
+      error.status,
+      errorBody(error.body || error.message, "api_error")
+    );
+  }
+  sendJson(
+    res,
+    error.status || 400,
+    errorBody(error.message, "invalid_request_error", error.code)
+  );
+}
+
+function clientKey(req) {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : undefined;
+}
+
+// Create the route handler for the HTTP server. It returns true when it has
+// handled the request and false for paths outside /v1/.
+export function createRestApi({
+  apiKeys = [],
+  listModels,
+  chatCompletion,
+  createEmbeddings,
+  log,
+}) {
+  if (apiKeys.length === 0) {
+    throw new Error("The REST API needs at least one client key");
+  }
+
+  async function handleListModels(req, res, url) {
+    const data = await listModels(url.searchParams.get("provider"));
+    sendJson(res, 200, { object: "list", data: data.data });
+  }
+
+  async function handleEmbeddings(req, res) {
+    sendJson(res, 200, await createEmbeddings((await readJsonBody(req)) || {}));
+  }
+
+  async function handleChatCompletion(req, res) {
+    const body = (await readJsonBody(req)) || {};
+
+    if (body.stream !== true) {
+      return sendJson(res, 200, await chatCompletion(body));
+    }
+
+    // Headers are sent with the first chunk so that errors raised before
+    // the upstream stream starts can still use a normal error response
+    try {
+      await chatCompletion(body, async (chunk) => {
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+          });
+        }
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      });
+    } catch (error) {
+      if (!res.headersSent) throw error;
+      log("Error while streaming chat completion:", error);
+      res.write(
+        `data: ${JSON.stringify(errorBody(error.message, "api_error"))}\n\n`
+      );
+    }
+
+    if (!res.headersSent) {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+    }
+    res.end("data: [DONE]\n\n");
+  }
+
+  const routes = {
+    "GET /v1/models": listModels && handleListModels,
+    "POST /v1/chat/completions": chatCompletion && handleChatCompletion,
+    "POST /v1/embeddings": createEmbeddings && handleEmbeddings,
+  };
+
+  return async function restRoute(req, res, url) {
+    if (!url.pathname.startsWith("/v1/")) return false;
+
+    try {
+      if (!tokenMatches(clientKey(req), apiKeys)) {
+        sendJson(
+          res,
+          401,
+          errorBody(
+            "Incorrect API key provided",
+            "invalid_request_error",
+            "invalid_api_key"
+          )
+        );
+        return true;
+      }
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (route) {
+        await route(req, res, url);
+      } else {
+        sendJson(
+          res,
+          404,
+          errorBody(
+            `Unknown request URL: ${req.method} ${url.pathname}`,
+            "invalid_request_error",
+            "unknown_url"
+          )
+        );
+      }
+    } catch (error) {
+      log("Error in REST API:", error);
+      if (!res.headersSent) sendError(res, error);
+      else res.end();
+    }
+    return true;
+  };
+}
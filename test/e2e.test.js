@@ -0,0 +1,1030 @@
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import { randomUUID } from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { ProgressNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { createMockOpenAI } from "../mock-openai-server.js";
+
+// End-to-end tests: the MCP server runs as a child process over stdio, with
+// its OpenAI traffic going to the local mock, so they need no API key and
+// cost nothing. Run them with `npm test`.
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const SERVER = path.join(ROOT, "openai-mcp-server.js");
+const API_KEY = "sk-test-0123456789abcdef";
+
+// Start the server against a base URL with an isolated home directory and
+// environment, so no .env, ledger or cache from the machine leaks in
+async function startServer(baseUrl, env = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-e2e-"));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    cwd: home,
+    env: {
+      PATH: process.env.PATH,
+      HOME: home,
+      OPENAI_API_KEY: API_KEY,
+      OPENAI_BASE_URL: baseUrl,
+      LOG_FILE: "none",
+      LOG_LEVEL: "warn",
+      MODEL_REFRESH_SECONDS: "0",
+      UPSTREAM_TIMEOUT_MS: "5000",
+      ...env,
+    },
+    stderr: "ignore",
+  });
+  const client = new Client({ name: "e2e-tests", version: "1.0.0" });
+  await client.connect(transport);
+
+  return {
+    client,
+    call: (name, args = {}) => client.callTool({ name, arguments: args }),
+    async close() {
+      await client.close();
+      fs.rmSync(home, { recursive: true, force: true });
+    },
+  };
+}
+
+// The same in HTTP mode, resolving once /health answers
+async function startHttpServer(baseUrl, env = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-e2e-"));
+  const port = await new Promise((resolve) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+  const child = spawn(process.execPath, [SERVER, "--http"], {
+    cwd: home,
+    env: {
+      PATH: process.env.PATH,
+      HOME: home,
+      OPENAI_API_KEY: API_KEY,
+      OPENAI_BASE_URL: baseUrl,
+      LOG_FILE: "none",
+      LOG_LEVEL: "warn",
+      MODEL_REFRESH_SECONDS: "0",
+      PORT: String(port),
+      ...env,
+    },
+    stdio: "ignore",
+  });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const url = `http://127.0.0.1:${port}`;
+
+  const close = async () => {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    fs.rmSync(home, { recursive: true, force: true });
+  };
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) {
+      await close();
+      return { exitCode: child.exitCode };
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) return { url, close };
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  await close();
+  throw new Error("HTTP server did not start");
+}
+
+function text(result) {
+  return result.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("\n");
+}
+
+describe("against the mock API", () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen());
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  beforeEach(() => mock.reset());
+
+  test("lists the tools", async () => {
+    const { tools } = await server.client.listTools();
+    const names = tools.map((tool) => tool.name);
+    for (const name of ["listModels", "chatCompletion", "createEmbedding"]) {
+      assert.ok(names.includes(name), `${name} is listed`);
+    }
+    for (const tool of tools) {
+      assert.equal(tool.inputSchema.type, "object", tool.name);
+    }
+  });
+
+  test("listModels returns the provider's models", async () => {
+    const result = await server.call("listModels");
+    assert.ok(!result.isError, text(result));
+    assert.match(text(result), /gpt-4o-mini/);
+    assert.match(text(result), /text-embedding-3-small/);
+    assert.equal(mock.requests[0].path, "/v1/models");
+    assert.equal(mock.requests[0].headers.authorization, `Bearer ${API_KEY}`);
+  });
+
+  test("chatCompletion sends the messages and returns the reply", async () => {
+    mock.script("chat", { content: "Scripted answer" });
+
+    const result = await server.call("chatCompletion", {
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: "What is 2 + 2?" }],
+      temperature: 0.5,
+    });
+
+    assert.ok(!result.isError, text(result));
+    assert.equal(text(result), "Scripted answer");
+    const { body } = mock.requests[0];
+    assert.equal(body.model, "gpt-4o-mini");
+    assert.deepEqual(body.messages, [
+      { role: "user", content: "What is 2 + 2?" },
+    ]);
+    assert.equal(body.temperature, 0.5);
+  });
+
+  test("chatCompletion returns tool calls as structured content", async () => {
+    mock.script("chat", {
+      tool_calls: [{ name: "get_weather", arguments: { city: "Paris" } }],
+    });
+
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: "Weather in Paris?" }],
+      tools: [
+        {
+          type: "function",
+          function: {
+            name: "get_weather",
+            parameters: {
+              type: "object",
+              properties: { city: { type: "string" } },
+            },
+          },
+        },
+      ],
+    });
+
+    assert.ok(!result.isError, text(result));
+    const [call] = result.structuredContent.tool_calls;
+    assert.equal(call.function.name, "get_weather");
+    assert.deepEqual(JSON.parse(call.function.arguments), { city: "Paris" });
+  });
+
+  test("conversations keep tool calls out of the transcript", async () => {
+    const started = await server.call("startConversation", {});
+    const { id } = started.structuredContent;
+
+    mock.script("chat", {
+      content: "Checking",
+      tool_calls: [{ name: "get_weather", arguments: { city: "Paris" } }],
+    });
+    const first = await server.call("sendMessage", {
+      conversation_id: id,
+      content: "Weather in Paris?",
+    });
+    assert.match(text(first), /get_weather/);
+
+    const second = await server.call("sendMessage", {
+      conversation_id: id,
+      content: "And Rome?",
+    });
+    assert.ok(!second.isError, text(second));
+    const { messages } = mock.requests[1].body;
+    assert.deepEqual(messages[1], { role: "assistant", content: "Checking" });
+
+    await server.call("deleteConversation", { conversation_id: id });
+  });
+
+  test("streamed chatCompletion assembles the chunks", async () => {
+    mock.script("chat", { content: "One two three four" });
+
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: "Count" }],
+      stream: true,
+    });
+
+    assert.ok(!result.isError, text(result));
+    assert.equal(text(result), "One two three four");
+    const { body } = mock.requests[0];
+    assert.equal(body.stream, true);
+    assert.deepEqual(body.stream_options, { include_usage: true });
+  });
+
+  test("createEmbedding honors dimensions and caches the result", async () => {
+    const args = { input: ["alpha", "beta"], dimensions: 16 };
+
+    const first = await server.call("createEmbedding", args);
+    assert.ok(!first.isError, text(first));
+    assert.equal(first.structuredContent.dimension, 16);
+    assert.equal(first.structuredContent.data.length, 2);
+
+    const second = await server.call("createEmbedding", args);
+    assert.deepEqual(second.structuredContent, first.structuredContent);
+    assert.equal(mock.requests.length, 1, "second call served from cache");
+  });
+
+  test("DALL-E images are priced per image by size and quality", async () => {
+    const result = await server.call("generateImage", {
+      prompt: "A lighthouse",
+      model: "dall-e-3",
+      size: "1792x1024",
+      quality: "hd",
+    });
+    assert.ok(!result.isError, text(result));
+
+    const usage = await server.call("getUsage", { group_by: "tool" });
+    const group = usage.structuredContent.groups.find(
+      (g) => g.tool === "generateImage"
+    );
+    assert.equal(group.cost, 0.12);
+  });
+
+  test("transcriptions are priced by length in every format", async () => {
+    const wav = Buffer.from("RIFF\0\0\0\0WAVEfmt ").toString("base64");
+    const plain = await server.call("transcribeAudio", { audio: wav });
+    assert.ok(!plain.isError, text(plain));
+    assert.equal(text(plain), "Hello from the mock. This is a transcript.");
+    assert.equal(mock.requests[0].body.response_format, "verbose_json");
+
+    const srt = await server.call("transcribeAudio", {
+      audio: wav,
+      format: "srt",
+    });
+    assert.match(
+      text(srt),
+      /^1\n00:00:00,000 --> 00:00:06,000\nHello from the mock\.\n\n2\n00:00:06,000 --> 00:00:12,500\n/
+    );
+
+    const usage = await server.call("getUsage", { group_by: "tool" });
+    const group = usage.structuredContent.groups.find(
+      (g) => g.tool === "transcribeAudio"
+    );
+    assert.equal(group.requests, 2);
+    assert.ok(Math.abs(group.cost - 2 * (12.5 / 60) * 0.006) < 1e-9);
+  });
+
+  test("collections are filled, filtered by metadata and pruned", async () => {
+    const created = await server.call("createCollection", {
+      name: "notes",
+      chunk_size: 100,
+    });
+    assert.ok(!created.isError, text(created));
+    assert.equal(created.structuredContent.chunk_overlap, 20);
+
+    const added = await server.call("addDocuments", {
+      collection: "notes",
+      documents: [
+        {
+          id: "paris",
+          text: "Paris is the capital of France. ".repeat(6),
+          metadata: { lang: "en", year: 2020 },
+        },
+        {
+          id: "lyon",
+          text: "Lyon est connue pour sa cuisine.",
+          metadata: { lang: "fr", year: 2022 },
+        },
+        {
+          id: "rome",
+          text: "Rome is the capital of Italy.",
+          metadata: { lang: "en", year: 2023 },
+        },
+      ],
+    });
+    assert.ok(!added.isError, text(added));
+    assert.ok(added.structuredContent.chunks > 3, "long text is chunked");
+
+    const query = async (filter) => {
+      const result = await server.call("queryCollection", {
+        collection: "notes",
+        query: "capital cities",
+        top_k: 20,
+        filter,
+      });
+      assert.ok(!result.isError, text(result));
+      return new Set(result.structuredContent.matches.map((m) => m.id));
+    };
+    assert.deepEqual(
+      await query({ lang: "en", year: { $gte: 2021 } }),
+      new Set(["rome"])
+    );
+    assert.deepEqual(await query({ lang: { $ne: "en" } }), new Set(["lyon"]));
+
+    const byFilter = await server.call("deleteDocuments", {
+      collection: "notes",
+      filter: { lang: "fr" },
+    });
+    assert.deepEqual(byFilter.structuredContent.ids, ["lyon"]);
+    const byId = await server.call("deleteDocuments", {
+      collection: "notes",
+      ids: ["paris"],
+    });
+    assert.deepEqual(byId.structuredContent.ids, ["paris"]);
+    assert.deepEqual(await query(), new Set(["rome"]));
+
+    await server.call("deleteCollection", { name: "notes" });
+  });
+
+  test("collections refuse an overlap as long as the chunk", async () => {
+    const result = await server.call("createCollection", {
+      name: "overlap",
+      chunk_size: 100,
+      chunk_overlap: 100,
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(text(result), /chunk_overlap must be smaller than chunk_size/);
+    const { collections } = (await server.call("listCollections", {}))
+      .structuredContent;
+    assert.ok(!collections.some((c) => c.name === "overlap"));
+  });
+
+  test("API errors are returned as tool errors", async () => {
+    mock.script("chat", {
+      error: { status: 400, message: "Invalid model id", code: "bad_model" },
+    });
+
+    const result = await server.call("chatCompletion", {
+      model: "gpt-4o",
+      messages: [{ role: "user", content: "Hello" }],
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(text(result), /Invalid model id/);
+    assert.equal(mock.requests.length, 1, "client errors are not retried");
+  });
+
+  test("rate limited calls are retried", async () => {
+    mock.script(
+      "chat",
+      {
+        error: { status: 429, message: "Rate limit reached" },
+        headers: { "retry-after-ms": "10" },
+      },
+      { content: "After retry" }
+    );
+
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: "Hello" }],
+    });
+
+    assert.ok(!result.isError, text(result));
+    assert.equal(text(result), "After retry");
+    assert.equal(mock.requests.length, 2);
+  });
+
+  test("invalid arguments are rejected field by field", async () => {
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "robot", content: "Hello" }],
+      temperature: 3,
+      max_tokens: 1.5,
+    });
+
+    assert.equal(result.isError, true);
+    const fields = result.metadata.validation_errors.map((e) => e.field);
+    assert.deepEqual(fields.sort(), [
+      "/max_tokens",
+      "/messages/0/role",
+      "/temperature",
+    ]);
+    assert.match(text(result), /\/messages\/0\/role: must be one of/);
+    assert.equal(mock.requests.length, 0, "nothing is sent upstream");
+
+    const missing = await server.call("createEmbedding", {});
+    assert.deepEqual(missing.metadata.validation_errors, [
+      { field: "/input", message: "is required" },
+    ]);
+  });
+
+  test("developer messages are accepted", async () => {
+    const result = await server.call("chatCompletion", {
+      messages: [
+        { role: "developer", content: "Answer briefly" },
+        { role: "user", content: "Hello" },
+      ],
+    });
+
+    assert.ok(!result.isError, text(result));
+    assert.equal(mock.requests[0].body.messages[0].role, "developer");
+  });
+
+  test("numeric and boolean strings are coerced", async () => {
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: "Hello" }],
+      temperature: "0.5",
+      max_tokens: "100",
+      stream: "false",
+    });
+
+    assert.ok(!result.isError, text(result));
+    const { body } = mock.requests[0];
+    assert.equal(body.temperature, 0.5);
+    assert.equal(body.max_tokens, 100);
+    assert.equal(body.stream, false);
+  });
+
+  test("replies that fail validation are not cached", async () => {
+    const args = {
+      messages: [{ role: "user", content: "Reply in JSON" }],
+      temperature: 0,
+      response_format: { type: "json_object" },
+      validation_retries: 6,
+    };
+    const tooMany = await server.call("chatCompletion", args);
+    assert.equal(tooMany.isError, true);
+
+    args.validation_retries = 0;
+    for (let i = 0; i < 2; i++) {
+      mock.script("chat", { content: "Not JSON" });
+      const result = await server.call("chatCompletion", args);
+      assert.match(text(result), /does not match the requested format/);
+    }
+    assert.equal(mock.requests.length, 2, "the second call was not cached");
+  });
+
+  test("the configuration resource redacts the API key", async () => {
+    const { contents } = await server.client.readResource({
+      uri: "openai://config",
+    });
+    assert.ok(!contents[0].text.includes(API_KEY));
+  });
+
+  test("the log resource is not offered by default", async () => {
+    const { resources } = await server.client.listResources();
+    assert.ok(!resources.some((r) => r.uri === "openai://log"));
+    await assert.rejects(
+      server.client.readResource({ uri: "openai://log" }),
+      /Unknown resource/
+    );
+  });
+});
+
+describe("budget caps", () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen(), {
+      DAILY_BUDGET_USD: "0.000001",
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  test("calls are refused once the daily budget is spent", async () => {
+    const args = { messages: [{ role: "user", content: "Hello" }] };
+    const first = await server.call("chatCompletion", args);
+    assert.ok(!first.isError, text(first));
+
+    const refused = await server.call("chatCompletion", {
+      ...args,
+      bypass_cache: true,
+    });
+    assert.equal(refused.isError, true);
+    assert.match(text(refused), /Daily budget of \$0.000001 reached/);
+    assert.equal(mock.requests.length, 1, "nothing more is sent upstream");
+
+    const usage = await server.call("getUsage", { period: "today" });
+    assert.equal(usage.structuredContent.total.requests, 1);
+  });
+});
+
+describe("log redaction", () => {
+  let mock;
+  let server;
+  let logDir;
+
+  before(async () => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-log-"));
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen(), {
+      LOG_FILE: path.join(logDir, "server.log"),
+      LOG_LEVEL: "debug",
+      LOG_REDACT_CONTENT: "true",
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  test("the log holds neither the API key nor message content", async () => {
+    const secret = "Meet me at the old mill";
+    const ok = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: secret }],
+    });
+    assert.ok(!ok.isError, text(ok));
+
+    mock.script("chat", {
+      error: { status: 401, message: `Incorrect API key: ${API_KEY}` },
+    });
+    const failed = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: secret }],
+      bypass_cache: true,
+    });
+    assert.equal(failed.isError, true);
+
+    const logged = fs.readFileSync(path.join(logDir, "server.log"), "utf8");
+    assert.match(logged, /Incorrect API key: \[redacted\]/);
+    assert.match(logged, /\[redacted \d+ chars\]/);
+    assert.ok(!logged.includes(API_KEY), "the API key is redacted");
+    assert.ok(!logged.includes(secret), "message content is redacted");
+  });
+});
+
+describe("moderation guard", () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen(), {
+      MODERATION_GUARD: "output",
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  beforeEach(() => mock.reset());
+
+  // Stream a reply, counting the progress notifications that carry it. The
+  // client's onprogress callback can miss notifications that arrive just
+  // before the result, so they are counted by a notification handler.
+  async function streamChat() {
+    const progressToken = randomUUID();
+    let progress = 0;
+    server.client.setNotificationHandler(
+      ProgressNotificationSchema,
+      (notification) => {
+        if (notification.params.progressToken === progressToken) progress++;
+      }
+    );
+    const result = await server.client.callTool({
+      name: "chatCompletion",
+      arguments: {
+        messages: [{ role: "user", content: "Tell me a story" }],
+        stream: true,
+      },
+      _meta: { progressToken },
+    });
+    return { result, progress };
+  }
+
+  test("streamed output is held back until it passes", async () => {
+    mock.script("chat", { content: "A calm story" });
+
+    const { result, progress } = await streamChat();
+    assert.ok(!result.isError, text(result));
+    assert.ok(progress > 0, "chunks are forwarded once checked");
+  });
+
+  test("blocked streamed output never reaches the client", async () => {
+    mock.script("chat", { content: "A violent story" });
+    mock.script("moderations", { scores: { violence: 0.95 } });
+
+    const { result, progress } = await streamChat();
+    assert.equal(result.isError, true);
+    assert.match(text(result), /Content blocked by moderation \(output\)/);
+    assert.equal(progress, 0, "no chunk was forwarded");
+  });
+
+  test("tool call arguments are moderated", async () => {
+    mock.script("chat", {
+      tool_calls: [{ name: "send_email", arguments: { body: "A threat" } }],
+    });
+    mock.script("moderations", { scores: { harassment: 0.9 } });
+
+    const result = await server.call("chatCompletion", {
+      messages: [{ role: "user", content: "Email my neighbour" }],
+    });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /harassment/);
+
+    const moderation = mock.requests.find((r) => r.path === "/v1/moderations");
+    assert.match(moderation.body.input[0], /A threat/);
+  });
+});
+
+describe("tool plugins and configuration", () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen(), {
+      TOOL_PLUGINS_DIR: path.join(ROOT, "test", "plugins"),
+      TOOLS_DISABLED: "*Batch*,createEmbedding",
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  test("plugin tools are listed and called", async () => {
+    const { tools } = await server.client.listTools();
+    const tool = tools.find((t) => t.name === "wordCount");
+    assert.ok(tool, "wordCount is listed");
+    assert.equal(tool.annotations.readOnlyHint, true);
+
+    mock.script("chat", { content: "one two three" });
+    const result = await server.call("wordCount", { prompt: "Count" });
+    assert.ok(!result.isError, text(result));
+    assert.deepEqual(result.structuredContent, { words: 3 });
+  });
+
+  test("disabled tools are hidden and refused", async () => {
+    const { tools } = await server.client.listTools();
+    const names = tools.map((t) => t.name);
+    for (const name of ["createEmbedding", "createBatch", "getBatch"]) {
+      assert.ok(!names.includes(name), `${name} is not listed`);
+    }
+    assert.ok(names.includes("chatCompletion"));
+
+    const result = await server.call("createEmbedding", { input: "x" });
+    assert.equal(result.isError, true);
+    assert.match(text(result), /Tool is disabled: createEmbedding/);
+  });
+
+  // Run the stdio server with no client, so it exits once stdin closes
+  function runServer(env) {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-e2e-"));
+    const result = spawnSync(process.execPath, [SERVER], {
+      cwd: home,
+      env: {
+        PATH: process.env.PATH,
+        HOME: home,
+        OPENAI_API_KEY: API_KEY,
+        LOG_FILE: "none",
+        ...env,
+      },
+      input: "",
+      encoding: "utf8",
+      timeout: 10000,
+    });
+    fs.rmSync(home, { recursive: true, force: true });
+    return result;
+  }
+
+  test("bad configuration stops the server with a readable error", () => {
+    const cases = [
+      [
+        { OPENAI_PROVIDER: "missing" },
+        /Invalid provider configuration: Default provider is not configured: missing/,
+      ],
+      [{ LOG_LEVEL: "loud" }, /Invalid logging configuration: LOG_LEVEL/],
+      [
+        { MODERATION_GUARD: "sometimes" },
+        /Invalid moderation policy: MODERATION_GUARD/,
+      ],
+      [
+        { PRICE_TABLE_FILE: "missing.json" },
+        /Invalid PRICE_TABLE_FILE missing\.json: ENOENT/,
+      ],
+    ];
+    for (const [env, message] of cases) {
+      const { status, stderr } = runServer(env);
+      assert.equal(status, 1, JSON.stringify(env));
+      assert.match(stderr, message);
+      assert.doesNotMatch(stderr, /\n\s+at /, "no stack trace");
+    }
+
+    assert.equal(runServer({ LOG_LEVEL: "WARN" }).status, 0);
+  });
+});
+
+describe("input files", () => {
+  const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+  let mock;
+  let server;
+  let inputs;
+  let outside;
+
+  before(async () => {
+    inputs = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-inputs-"));
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-outside-"));
+    fs.writeFileSync(path.join(inputs, "inside.png"), PNG);
+    fs.writeFileSync(path.join(outside, "outside.png"), PNG);
+    fs.symlinkSync(
+      path.join(outside, "outside.png"),
+      path.join(inputs, "link.png")
+    );
+
+    mock = createMockOpenAI();
+    server = await startServer(await mock.listen(), {
+      INPUT_FILES_DIR: inputs,
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+    fs.rmSync(inputs, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mock.reset());
+
+  test("files inside INPUT_FILES_DIR are read", async () => {
+    const result = await server.call("moderateContent", {
+      images: ["inside.png"],
+    });
+    assert.ok(!result.isError, text(result));
+    const { body } = mock.requests.find((r) => r.path === "/v1/moderations");
+    assert.match(body.input[0].image_url.url, /^data:image\/png;base64,/);
+  });
+
+  test("files outside it are refused, including through symlinks", async () => {
+    for (const image of [path.join(outside, "outside.png"), "link.png"]) {
+      const result = await server.call("moderateContent", { images: [image] });
+      assert.equal(result.isError, true, image);
+    }
+    assert.equal(mock.requests.length, 0);
+  });
+});
+
+describe("record and replay", () => {
+  const args = {
+    model: "gpt-4o-mini",
+    messages: [{ role: "user", content: "Recorded question" }],
+  };
+  let fixturesDir;
+  let recorded;
+
+  // Record one exchange for both tests, with a second mock standing in for
+  // the real API
+  before(async () => {
+    fixturesDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "openai-mcp-fixtures-")
+    );
+    const upstream = createMockOpenAI();
+    upstream.script("chat", { content: "Recorded answer" });
+    const recorder = createMockOpenAI({
+      mode: "record",
+      fixturesDir,
+      target: await upstream.listen(),
+    });
+    const server = await startServer(await recorder.listen());
+
+    try {
+      recorded = {
+        result: await server.call("chatCompletion", args),
+        upstreamRequests: upstream.requests,
+      };
+    } finally {
+      await server.close();
+      await recorder.close();
+      await upstream.close();
+    }
+  });
+
+  after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+  test("record mode captures exchanges to fixture files", () => {
+    assert.equal(text(recorded.result), "Recorded answer");
+    assert.equal(
+      recorded.upstreamRequests[0].headers.authorization,
+      `Bearer ${API_KEY}`
+    );
+
+    const files = fs.readdirSync(fixturesDir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^chat-/);
+    const fixture = JSON.parse(
+      fs.readFileSync(path.join(fixturesDir, files[0]), "utf8")
+    );
+    assert.equal(fixture.request.path, "/v1/chat/completions");
+    assert.ok(!JSON.stringify(fixture).includes(API_KEY));
+  });
+
+  test("replay mode serves the recorded fixtures", async () => {
+    const replayer = createMockOpenAI({ mode: "replay", fixturesDir });
+    const server = await startServer(await replayer.listen());
+
+    try {
+      const result = await server.call("chatCompletion", args);
+      assert.ok(!result.isError, text(result));
+      assert.equal(text(result), "Recorded answer");
+
+      const missing = await server.call("chatCompletion", {
+        ...args,
+        messages: [{ role: "user", content: "Never recorded" }],
+      });
+      assert.equal(missing.isError, true);
+      assert.match(text(missing), /No fixture recorded/);
+      assert.equal(replayer.requests.length, 2, "the miss is not retried");
+    } finally {
+      await server.close();
+      await replayer.close();
+    }
+  });
+});
+
+describe("REST API", () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockOpenAI();
+    baseUrl = await mock.listen();
+  });
+
+  after(async () => {
+    await mock?.close();
+  });
+
+  beforeEach(() => mock.reset());
+
+  const chat = (url, headers = {}) =>
+    fetch(`${url}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({
+        model: "gpt-4o-mini",
+        messages: [{ role: "user", content: "Hello" }],
+      }),
+    });
+
+  test("refuses to start without client keys", async () => {
+    const server = await startHttpServer(baseUrl, { REST_API: "true" });
+    assert.equal(server.exitCode, 1);
+  });
+
+  test("falls back to the MCP tokens for authentication", async () => {
+    const server = await startHttpServer(baseUrl, {
+      REST_API: "true",
+      MCP_AUTH_TOKENS: "mcp-token-123",
+    });
+
+    try {
+      const anonymous = await chat(server.url);
+      assert.equal(anonymous.status, 401);
+      assert.equal((await anonymous.json()).error.code, "invalid_api_key");
+      assert.equal(mock.requests.length, 0, "nothing is sent upstream");
+
+      const authorized = await chat(server.url, {
+        Authorization: "Bearer mcp-token-123",
+      });
+      assert.equal(authorized.status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("serves only the endpoints of enabled tools", async () => {
+    const server = await startHttpServer(baseUrl, {
+      REST_API: "true",
+      REST_API_KEYS: "rest-key-123",
+      TOOLS_DISABLED: "createEmbedding",
+    });
+
+    try {
+      const response = await fetch(`${server.url}/v1/embeddings`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": "rest-key-123",
+        },
+        body: JSON.stringify({ input: "Hello" }),
+      });
+      assert.equal(response.status, 404);
+      assert.equal(mock.requests.length, 0, "nothing is sent upstream");
+
+      const authorized = await chat(server.url, {
+        "x-api-key": "rest-key-123",
+      });
+      assert.equal(authorized.status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("lists only the models the policy allows", async () => {
+    const server = await startHttpServer(baseUrl, {
+      REST_API: "true",
+      REST_API_KEYS: "rest-key-123",
+      ALLOWED_MODELS: "gpt-4o*",
+      DENIED_MODELS: "gpt-4o-mini",
+    });
+
+    try {
+      const response = await fetch(`${server.url}/v1/models`, {
+        headers: { "x-api-key": "rest-key-123" },
+      });
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual(
+        data.map((model) => model.id),
+        ["gpt-4o"]
+      );
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("passes OpenAI parameters through unchanged", async () => {
+    const server = await startHttpServer(baseUrl, {
+      REST_API: "true",
+      REST_API_KEYS: "rest-key-123",
+    });
+
+    try {
+      const response = await fetch(`${server.url}/v1/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": "rest-key-123",
+        },
+        body: JSON.stringify({
+          model: "gpt-4o-mini",
+          messages: [{ role: "user", content: "Hello" }],
+          top_p: 0.9,
+          seed: 42,
+          stop: ["\n"],
+        }),
+      });
+      assert.equal(response.status, 200);
+
+      const { body } = mock.requests[0];
+      assert.equal(body.top_p, 0.9);
+      assert.equal(body.seed, 42);
+      assert.deepEqual(body.stop, ["\n"]);
+      assert.ok(!("temperature" in body), "temperature left to the API");
+      assert.ok(!("max_tokens" in body), "max_tokens left to the API");
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("applies the model ceilings to every length parameter", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "openai-mcp-policy-"));
+    const policyFile = path.join(dir, "policy.json");
+    fs.writeFileSync(
+      policyFile,
+      JSON.stringify({ limits: { "gpt-4o-mini": { max_tokens: 100 } } })
+    );
+    const server = await startHttpServer(baseUrl, {
+      REST_API: "true",
+      REST_API_KEYS: "rest-key-123",
+      MODEL_POLICY_FILE: policyFile,
+    });
+
+    try {
+      for (const length of [{}, { max_completion_tokens: 5000 }]) {
+        const response = await fetch(`${server.url}/v1/chat/completions`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": "rest-key-123",
+          },
+          body: JSON.stringify({
+            model: "gpt-4o-mini",
+            messages: [{ role: "user", content: "Hello" }],
+            ...length,
+          }),
+        });
+        assert.equal(response.status, 200);
+      }
+
+      const [unset, completion] = mock.requests.map((r) => r.body);
+      assert.equal(unset.max_tokens, 100);
+      assert.equal(completion.max_completion_tokens, 100);
+      assert.ok(!("max_tokens" in completion));
+    } finally {
+      await server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,26 @@
+// A tool plugin used by the end-to-end tests. It asks the chat model for a
+// reply and reports how many words it has.
+export default ({ requestChatCompletion }) => ({
+  name: "wordCount",
+  description: "Count the words in the model's reply to a prompt",
+  inputSchema: {
+    type: "object",
+    properties: {
+      prompt: { type: "string", description: "The prompt to send" },
+    },
+    required: ["prompt"],
+  },
+  annotations: { readOnlyHint: true, openWorldHint: true },
+  handler: async (request) => {
+    const { prompt } = request.params.arguments;
+    const data = await requestChatCompletion({
+      messages: [{ role: "user", content: prompt }],
+    });
+
+    const words = data.choices[0].message.content.split(/\s+/).filter(Boolean);
+    return {
+      content: [{ type: "text", text: `${words.length} words` }],
+      structuredContent: { words: words.length },
+    };
+  },
+});
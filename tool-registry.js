@@ -0,0 +1,170 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { compileSchema } from "./json-schema.js";
+import { matchesAny } from "./model-policy.js";
+
+// Registry of the tools the server offers. A tool is one object:
+//
+//   {
+//     name: "summarizeTicket",
+//     description: "Summarize a support ticket",
+//     inputSchema: { type: "object", properties: { ... }, required: [...] },
+//     annotations: { readOnlyHint: true, openWorldHint: true },
+//     handler: async (request, extra) => ({ content: [...] }),
+//   }
+//
+// The handler receives the MCP call request, with arguments already checked
+// against the input schema, and returns a tool result, the same way the
+// built-in tools do. Tools can be switched on and off with
+// TOOLS_ENABLED and TOOLS_DISABLED, comma-separated names in which "*"
+// matches any characters.
+//
+// Plugins add tools from outside the server: every .js or .mjs file in
+// TOOL_PLUGINS_DIR, and every module named in TOOL_PLUGINS (npm packages or
+// paths). A plugin's default export is a tool, an array of tools, or a
+// function that receives the plugin context and returns (or resolves to)
+// either.
+
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const PLUGIN_FILE = /\.m?js$/;
+
+// Check a tool definition and return the part clients see
+function toolDefinition(tool, source) {
+  const where = `Tool ${tool?.name || "(unnamed)"} from ${source}`;
+  if (!tool || typeof tool !== "object") {
+    throw new Error(`Invalid tool from ${source}: expected an object`);
+  }
+  if (!TOOL_NAME.test(tool.name || "")) {
+    throw new Error(
+      `${where}: name must be 1-64 letters, digits, underscores or hyphens`
+    );
+  }
+  if (typeof tool.description !== "string" || !tool.description) {
+    throw new Error(`${where}: description must be a non-empty string`);
+  }
+  if (tool.inputSchema?.type !== "object") {
+    throw new Error(`${where}: inputSchema must be an object schema`);
+  }
+  try {
+    compileSchema(tool.inputSchema);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  if (typeof tool.handler !== "function") {
+    throw new Error(`${where}: handler must be a function`);
+  }
+
+  const definition = {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+  };
+  if (tool.title) definition.title = tool.title;
+  if (tool.outputSchema) definition.outputSchema = tool.outputSchema;
+  if (tool.annotations) definition.annotations = tool.annotations;
+  return definition;
+}
+
+export function createToolRegistry({
+  enabled = [],
+  disabled = [],
+  log = () => {},
+} = {}) {
+  // name -> { definition, handler, source }, in registration order
+  const tools = new Map();
+
+  function isEnabled(name) {
+    if (enabled.length > 0 && !matchesAny(name, enabled)) return false;
+    return !matchesAny(name, disabled);
+  }
+
+  function register(tool, source = "built-in") {
+    const definition = toolDefinition(tool, source);
+    const existing = tools.get(definition.name);
+    if (existing) {
+      throw new Error(
+        `Tool ${definition.name} from ${source} is already registered by ${existing.source}`
+      );
+    }
+    tools.set(definition.name, {
+      definition,
+      handler: tool.handler,
+      source,
+    });
+  }
+
+  // Register the tools exported by one plugin module
+  async function registerModule(module, source, context) {
+    let exported = module.default ?? module;
+    if (typeof exported === "function") exported = await exported(context);
+    const list = Array.isArray(exported) ? exported : [exported];
+    for (const tool of list) register(tool, source);
+    log(
+      `Loaded ${list.length} tool(s) from ${source}:`,
+      list.map((tool) => tool.name).join(", ")
+    );
+  }
+
+  // Load plugins from a directory and a list of module names. Failures stop
+  // the server rather than leaving it running without the expected tools.
+  async function loadPlugins({ dir, modules = [] }, context) {
+    if (dir) {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw new Error(`Tool plugin directory not found: ${dir}`);
+        }
+        throw error;
+      }
+      for (const file of files.filter((f) => PLUGIN_FILE.test(f)).sort()) {
+        const fullPath = path.resolve(dir, file);
+        await registerModule(
+          await import(pathToFileURL(fullPath).href),
+          fullPath,
+          context
+        );
+      }
+    }
+
+    for (const name of modules) {
+      // Paths are resolved from the working directory, anything else as a
+      // package
+      const specifier =
+        name.startsWith(".") || path.isAbsolute(name)
+          ? pathToFileURL(path.resolve(name)).href
+          : name;
+      await registerModule(await import(specifier), name, context);
+    }
+  }
+
+  return {
+    register,
+    loadPlugins,
+    isEnabled,
+    // Definitions of the enabled tools, as returned by tools/list
+    list() {
+      return [...tools.values()]
+        .filter((tool) => isEnabled(tool.definition.name))
+        .map((tool) => tool.definition);
+    },
+    // An enabled tool's definition and handler, or undefined
+    get(name) {
+      const tool = tools.get(name);
+      return tool && isEnabled(name)
+        ? { ...tool.definition, handler: tool.handler }
+        : undefined;
+    },
+    has: (name) => tools.has(name),
+    // Every registered tool with where it came from and whether it is on
+    describe() {
+      return [...tools.values()].map((tool) => ({
+        name: tool.definition.name,
+        source: tool.source,
+        enabled: isEnabled(tool.definition.name),
+      }));
+    },
+  };
+}
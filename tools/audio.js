@@ -0,0 +1,287 @@
+import * as audio from "../audio.js";
+import { READ_ONLY, WRITE, providerSchema } from "./shared.js";
+
+// Speech tools: transcription and text to speech
+export default function audioTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  AUDIO_OUTPUT_DIR,
+  MODEL_POLICY,
+  INPUT_FILES,
+  requestTranscription,
+  requestSpeech,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // Transcribe a recording to text, subtitles or JSON with timestamps
+    {
+      name: "transcribeAudio",
+      description:
+        "Transcribe a recording (flac, m4a, mp3, mp4, ogg, wav or webm, up to 25 MB) as text, SRT or VTT subtitles, or JSON with timestamps",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          audio: {
+            type: "string",
+            description: "A file path, data: URL or base64 string",
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use (whisper-1, gpt-4o-transcribe, gpt-4o-mini-transcribe; default: ${MODEL_POLICY.defaults.transcription})`,
+          },
+          language: {
+            type: "string",
+            description:
+              "The spoken language as an ISO-639-1 code (e.g. en); improves accuracy and latency",
+          },
+          prompt: {
+            type: "string",
+            description:
+              "Text to guide the style or spelling, or the transcript of a previous segment",
+          },
+          format: {
+            type: "string",
+            enum: audio.TRANSCRIPTION_FORMATS,
+            description:
+              "Output format (default: text). The gpt-4o models support text and json only",
+          },
+          timestamp_granularities: {
+            type: "array",
+            items: { type: "string", enum: audio.TIMESTAMP_GRANULARITIES },
+            description:
+              "Include word and/or segment timestamps (requires format verbose_json; whisper-1 only)",
+          },
+          temperature: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description: "Sampling temperature between 0 and 1",
+          },
+          provider: PROVIDER,
+        },
+        required: ["audio"],
+      },
+      handler: async (request) => {
+        const {
+          audio: input,
+          model,
+          language,
+          prompt,
+          format = "text",
+          timestamp_granularities,
+          temperature,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing transcribeAudio with model:", model);
+
+        try {
+          if (!input) {
+            throw new Error("Audio is required");
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "transcribeAudio",
+            family: "transcription",
+          });
+          audio.validateTranscriptionParams(resolvedModel, {
+            format,
+            granularities: timestamp_granularities,
+          });
+
+          const data = await requestTranscription({
+            model: resolvedModel,
+            file: audio.readInputAudio(input, INPUT_FILES),
+            fields: {
+              language,
+              prompt,
+              response_format: format,
+              timestamp_granularities,
+              temperature,
+            },
+            provider,
+          });
+
+          const json = ["json", "verbose_json"].includes(format);
+          return {
+            content: [
+              {
+                type: "text",
+                text: json ? JSON.stringify(data, null, 2) : data.text,
+              },
+            ],
+            structuredContent: json ? data : undefined,
+            metadata: {
+              model: resolvedModel,
+              format,
+              language: data.language,
+              duration: data.duration,
+              usage: data.usage,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in transcribeAudio:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Turn text into speech, returned as audio content or saved to a file
+    {
+      name: "textToSpeech",
+      description:
+        "Turn text into speech; returns audio content, or saves the file when asked to",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          input: {
+            type: "string",
+            description: `The text to speak (up to ${audio.MAX_TTS_INPUT} characters)`,
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use (tts-1, tts-1-hd, gpt-4o-mini-tts; default: ${MODEL_POLICY.defaults.speech})`,
+          },
+          voice: {
+            type: "string",
+            enum: audio.TTS_VOICES,
+            description: "The voice to use (default: alloy)",
+          },
+          format: {
+            type: "string",
+            enum: Object.keys(audio.TTS_FORMATS),
+            description: "Audio format (default: mp3)",
+          },
+          speed: {
+            type: "number",
+            minimum: 0.25,
+            maximum: 4,
+            description: "Speaking speed from 0.25 to 4 (default: 1)",
+          },
+          instructions: {
+            type: "string",
+            description:
+              "How the voice should sound, e.g. tone or accent (gpt-4o-mini-tts only)",
+          },
+          save: {
+            type: "boolean",
+            description: `Save the audio to ${AUDIO_OUTPUT_DIR} instead of returning it (default: false)`,
+          },
+          provider: PROVIDER,
+        },
+        required: ["input"],
+      },
+      handler: async (request) => {
+        const {
+          input,
+          model,
+          voice = "alloy",
+          format = "mp3",
+          speed,
+          instructions,
+          save,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing textToSpeech with model:", model);
+
+        try {
+          if (!input) {
+            throw new Error("Input is required");
+          }
+          if (input.length > audio.MAX_TTS_INPUT) {
+            throw new Error(
+              `Input is ${input.length} characters; the API accepts at most ${audio.MAX_TTS_INPUT}`
+            );
+          }
+          if (!audio.TTS_VOICES.includes(voice)) {
+            throw new Error(
+              `voice must be one of ${audio.TTS_VOICES.join(", ")}`
+            );
+          }
+          if (!audio.TTS_FORMATS[format]) {
+            throw new Error(
+              `format must be one of ${Object.keys(audio.TTS_FORMATS).join(", ")}`
+            );
+          }
+          if (speed !== undefined && !(speed >= 0.25 && speed <= 4)) {
+            throw new Error("speed must be between 0.25 and 4");
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "textToSpeech",
+            family: "speech",
+          });
+
+          const buffer = await requestSpeech(
+            {
+              model: resolvedModel,
+              input,
+              voice,
+              response_format: format,
+              speed,
+              instructions,
+            },
+            provider
+          );
+
+          const metadata = {
+            model: resolvedModel,
+            voice,
+            format,
+            bytes: buffer.length,
+            characters: input.length,
+          };
+
+          if (save === true) {
+            const file = await audio.saveAudio(
+              AUDIO_OUTPUT_DIR,
+              buffer,
+              format
+            );
+            return {
+              content: [{ type: "text", text: `Saved speech to ${file}` }],
+              metadata: { ...metadata, saved: file },
+            };
+          }
+
+          return {
+            content: [
+              {
+                type: "audio",
+                data: buffer.toString("base64"),
+                mimeType: audio.TTS_FORMATS[format],
+              },
+            ],
+            metadata,
+          };
+        } catch (error) {
+          LOGGER.error("Error in textToSpeech:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
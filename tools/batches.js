@@ -0,0 +1,432 @@
+import { FormData } from "undici";
+import * as batches from "../batches.js";
+import { DELETE, READ_ONLY, WRITE, providerSchema } from "./shared.js";
+
+// Batch API tools: submit chatCompletion or createEmbedding requests as one
+// job and poll, cancel and collect it. Jobs are tracked under BATCHES_DIR.
+export default function batchTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  BATCHES_DIR,
+  MODERATION,
+  USAGE_LEDGER,
+  getProvider,
+  requestBatchApi,
+  batchRequestBody,
+  batchFields,
+  refreshBatch,
+  collectBatch,
+  describeBatch,
+  batchResult,
+  messageText,
+  guardContent,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+  const BATCH_ID = {
+    type: "string",
+    description: "The batch id returned by createBatch",
+  };
+
+  return [
+    // Submit chatCompletion or createEmbedding requests as a Batch API job
+    {
+      name: "createBatch",
+      description:
+        "Submit many chatCompletion or createEmbedding requests as one OpenAI Batch job, processed within 24 hours at a lower price. Returns a batch id to poll with getBatch",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          endpoint: {
+            type: "string",
+            enum: Object.keys(batches.BATCH_ENDPOINTS),
+            description: "Which tool's requests the batch holds",
+          },
+          requests: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                custom_id: {
+                  type: "string",
+                  description:
+                    "A unique id to match the result to (default: request-1, request-2, ...)",
+                },
+              },
+            },
+            description: `The requests, each with the same arguments as the chosen tool (e.g. messages, temperature, max_tokens, response_format, or input, dimensions) plus an optional custom_id; up to ${batches.MAX_BATCH_REQUESTS}`,
+          },
+          model: {
+            type: "string",
+            description:
+              "The model or alias for requests that do not name one (default: the tool's default model)",
+          },
+          description: {
+            type: "string",
+            description: "A note to recognize the batch by",
+          },
+          provider: PROVIDER,
+        },
+        required: ["endpoint", "requests"],
+      },
+      handler: async (request) => {
+        const { endpoint, requests, model, description, provider } =
+          request.params.arguments;
+
+        log("Executing createBatch for endpoint:", endpoint);
+
+        try {
+          const url = batches.BATCH_ENDPOINTS[endpoint];
+          if (!url) {
+            throw new Error(
+              `endpoint must be one of ${Object.keys(batches.BATCH_ENDPOINTS).join(", ")}`
+            );
+          }
+          if (!Array.isArray(requests)) {
+            throw new Error("requests must be a non-empty array");
+          }
+
+          const bodies = requests.map((entry, index) => ({
+            custom_id: entry.custom_id,
+            body: batchRequestBody(endpoint, entry, model, index),
+          }));
+          const { text, customIds } = batches.buildBatchInput(url, bodies);
+
+          // Each chat request goes through the input guard, as it would as a
+          // chatCompletion call
+          const moderation = {};
+          if (MODERATION.checkInput && endpoint === "chatCompletion") {
+            moderation.input = await guardContent(
+              "input",
+              bodies.map(({ body }) =>
+                body.messages
+                  .map((message) => messageText(message.content))
+                  .filter(Boolean)
+                  .join("\n")
+              )
+            );
+          }
+
+          USAGE_LEDGER.checkBudget();
+
+          const form = new FormData();
+          form.append("purpose", "batch");
+          form.append(
+            "file",
+            new Blob([text], { type: "application/jsonl" }),
+            "batch-input.jsonl"
+          );
+          const file = await requestBatchApi("/files", {
+            provider,
+            body: form,
+          });
+
+          const data = await requestBatchApi("/batches", {
+            provider,
+            body: {
+              input_file_id: file.id,
+              endpoint: url,
+              completion_window: "24h",
+              metadata: description ? { description } : undefined,
+            },
+          });
+
+          const now = new Date().toISOString();
+          const record = await batches.saveBatch(BATCHES_DIR, {
+            id: data.id,
+            endpoint,
+            description,
+            provider: getProvider(provider).name,
+            input_file_id: file.id,
+            requests: customIds.length,
+            models: [...new Set(bodies.map(({ body }) => body.model))],
+            created: now,
+            updated: now,
+            ...batchFields(data),
+          });
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Created batch ${record.id} with ${record.requests} ${endpoint} request(s) (status: ${record.status}). Poll it with getBatch and collect the output with getBatchResults.`,
+              },
+            ],
+            structuredContent: { ...record, custom_ids: customIds },
+            metadata: {
+              batch_id: record.id,
+              status: record.status,
+              requests: record.requests,
+              moderation: moderation.input,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in createBatch:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Poll a batch job's status
+    {
+      name: "getBatch",
+      description:
+        "Check a batch job's status and how many of its requests have completed or failed",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          batch_id: BATCH_ID,
+        },
+        required: ["batch_id"],
+      },
+      handler: async (request) => {
+        const { batch_id } = request.params.arguments;
+
+        log("Executing getBatch for batch:", batch_id);
+
+        try {
+          const record = await refreshBatch(batch_id);
+          const lines = [describeBatch(record)];
+          for (const error of record.errors || []) {
+            lines.push(
+              `Error${error.line ? ` on line ${error.line}` : ""}: ${error.message}`
+            );
+          }
+
+          return {
+            content: [{ type: "text", text: lines.join("\n") }],
+            structuredContent: record,
+            metadata: {
+              batch_id: record.id,
+              status: record.status,
+              final: batches.FINAL_STATUSES.includes(record.status),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in getBatch:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // List locally tracked batch jobs, optionally polling unfinished ones
+    {
+      name: "listBatches",
+      description:
+        "List batch jobs created through this server, most recent first",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          refresh: {
+            type: "boolean",
+            description:
+              "Poll unfinished batches for their current status (default: false)",
+          },
+        },
+        required: [],
+      },
+      handler: async (request) => {
+        const { refresh } = request.params.arguments || {};
+
+        log("Executing listBatches");
+
+        try {
+          let list = await batches.listBatches(BATCHES_DIR);
+          if (refresh === true) {
+            list = await Promise.all(
+              list.map((record) => refreshBatch(record.id))
+            );
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: list.length
+                  ? `Batches:\n\n${list.map((record) => `- ${describeBatch(record)}`).join("\n")}`
+                  : "No batches",
+              },
+            ],
+            structuredContent: { batches: list },
+            metadata: {
+              count: list.length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in listBatches:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Cancel a batch job; requests already finished keep their results
+    {
+      name: "cancelBatch",
+      description:
+        "Cancel a batch job; requests that already finished keep their results",
+      annotations: DELETE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          batch_id: BATCH_ID,
+        },
+        required: ["batch_id"],
+      },
+      handler: async (request) => {
+        const { batch_id } = request.params.arguments;
+
+        log("Executing cancelBatch for batch:", batch_id);
+
+        try {
+          const record = await batches.getBatch(BATCHES_DIR, batch_id);
+          if (batches.FINAL_STATUSES.includes(record.status)) {
+            throw new Error(`Batch ${batch_id} is already ${record.status}`);
+          }
+
+          const data = await requestBatchApi(
+            `/batches/${encodeURIComponent(batch_id)}/cancel`,
+            { provider: record.provider }
+          );
+          const updated = await batches.updateBatch(
+            BATCHES_DIR,
+            batch_id,
+            batchFields(data)
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Cancelling batch ${batch_id} (status: ${updated.status})`,
+              },
+            ],
+            metadata: {
+              batch_id,
+              status: updated.status,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in cancelBatch:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Download a finished batch's output and errors, keyed by custom_id
+    {
+      name: "getBatchResults",
+      description:
+        "Download a finished batch's results, keyed by custom_id: the reply text or embeddings for each request, or its error",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          batch_id: BATCH_ID,
+          custom_ids: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only return these requests (default: all)",
+          },
+        },
+        required: ["batch_id"],
+      },
+      handler: async (request) => {
+        const { batch_id, custom_ids } = request.params.arguments;
+
+        log("Executing getBatchResults for batch:", batch_id);
+
+        try {
+          const record = await refreshBatch(batch_id);
+          if (!batches.FINAL_STATUSES.includes(record.status)) {
+            throw new Error(
+              `Batch ${batch_id} is ${record.status}; results are available once it finishes`
+            );
+          }
+
+          // Results are downloaded once and then read from disk
+          const text = await collectBatch(record);
+
+          const parsed = batches.parseBatchOutput(text);
+          const ids = custom_ids || Object.keys(parsed);
+          const results = {};
+          for (const id of ids) {
+            results[id] = parsed[id]
+              ? batchResult(record.endpoint, parsed[id])
+              : { error: { message: "No result for this custom_id" } };
+          }
+          const failed = Object.values(results).filter(
+            (result) => result.error
+          ).length;
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Batch ${batch_id} (${record.status}): ${ids.length - failed} succeeded, ${failed} failed`,
+              },
+              {
+                type: "text",
+                text: JSON.stringify(results, null, 2),
+              },
+            ],
+            structuredContent: { results },
+            metadata: {
+              batch_id,
+              status: record.status,
+              count: ids.length,
+              failed,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in getBatchResults:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,362 @@
+import { compileSchema } from "../json-schema.js";
+import { BYPASS_CACHE, READ_ONLY, providerSchema } from "./shared.js";
+
+// The chatCompletion tool, with streaming progress and structured output
+// checked against the requested response format
+export default function chatTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  MODEL_POLICY,
+  CACHE_STATUS,
+  MODERATION_RESULTS,
+  requestChatCompletion,
+  checkStructuredReply,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // Generate chat completion
+    {
+      name: "chatCompletion",
+      description: "Generate a response using OpenAI's chat completion API",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          model: {
+            type: "string",
+            description: `The model or alias to use (e.g., gpt-4o-mini, gpt-4o; default: ${MODEL_POLICY.defaults.chat})`,
+          },
+          messages: {
+            type: "array",
+            minItems: 1,
+            description: "The conversation messages",
+            items: {
+              type: "object",
+              required: ["role"],
+              properties: {
+                role: {
+                  type: "string",
+                  enum: ["system", "developer", "user", "assistant", "tool"],
+                  description: "The role of the message sender",
+                },
+                content: {
+                  type: ["string", "array", "null"],
+                  description:
+                    "The content of the message: a string, an array of content parts, or null for assistant messages carrying tool_calls",
+                  items: {
+                    type: "object",
+                    description:
+                      'A content part: { type: "text", text }, { type: "image_url", image_url: { url, detail } } or an MCP image block { type: "image", data, mimeType, detail }',
+                    properties: {
+                      type: {
+                        type: "string",
+                        enum: ["text", "image_url", "image"],
+                      },
+                      text: { type: "string" },
+                      image_url: {
+                        type: "object",
+                        properties: {
+                          url: {
+                            type: "string",
+                            description: "An https URL or a base64 data: URL",
+                          },
+                          detail: {
+                            type: "string",
+                            enum: ["auto", "low", "high"],
+                          },
+                        },
+                      },
+                      data: {
+                        type: "string",
+                        description: "Base64 image data (image blocks)",
+                      },
+                      mimeType: {
+                        type: "string",
+                        description:
+                          "image/png, image/jpeg, image/gif or image/webp",
+                      },
+                      detail: {
+                        type: "string",
+                        enum: ["auto", "low", "high"],
+                      },
+                    },
+                  },
+                },
+                name: {
+                  type: "string",
+                  description: "Optional name of the participant",
+                },
+                tool_calls: {
+                  type: "array",
+                  description:
+                    "Tool calls previously made by the assistant (assistant messages only)",
+                  items: {
+                    type: "object",
+                    properties: {
+                      id: { type: "string" },
+                      type: { type: "string" },
+                      function: {
+                        type: "object",
+                        properties: {
+                          name: { type: "string" },
+                          arguments: { type: "string" },
+                        },
+                      },
+                    },
+                  },
+                },
+                tool_call_id: {
+                  type: "string",
+                  description:
+                    "The tool call this message responds to (tool messages only)",
+                },
+              },
+            },
+          },
+          temperature: {
+            type: "number",
+            minimum: 0,
+            maximum: 2,
+            description: "Controls randomness (0-2)",
+          },
+          max_tokens: {
+            type: "integer",
+            minimum: 1,
+            description: "Maximum number of tokens to generate",
+          },
+          stream: {
+            type: "boolean",
+            description:
+              "Stream the response; partial text is sent as progress notifications when a progress token is supplied",
+          },
+          tools: {
+            type: "array",
+            description:
+              "Functions the model may call, in OpenAI's tools format",
+            items: {
+              type: "object",
+              properties: {
+                type: { type: "string" },
+                function: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    description: { type: "string" },
+                    parameters: { type: "object" },
+                  },
+                },
+              },
+            },
+          },
+          tool_choice: {
+            type: ["string", "object"],
+            description:
+              'Controls tool use: "none", "auto", "required" or a specific function',
+          },
+          parallel_tool_calls: {
+            type: "boolean",
+            description: "Whether the model may call several tools at once",
+          },
+          response_format: {
+            type: "object",
+            description:
+              'Structured output: { type: "json_object" } or { type: "json_schema", json_schema: { name, schema, strict } }. The reply is parsed, checked against the schema and returned as structured content',
+            properties: {
+              type: {
+                type: "string",
+                enum: ["text", "json_object", "json_schema"],
+              },
+              json_schema: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  description: { type: "string" },
+                  schema: { type: "object" },
+                  strict: { type: "boolean" },
+                },
+                required: ["name"],
+              },
+            },
+            required: ["type"],
+          },
+          validation_retries: {
+            type: "integer",
+            minimum: 0,
+            maximum: 5,
+            description:
+              "With response_format, how many times to send invalid JSON back to the model with the validation errors (default: 0)",
+          },
+          provider: PROVIDER,
+          bypass_cache: BYPASS_CACHE,
+        },
+        required: ["messages"],
+      },
+      handler: async (request, extra) => {
+        const {
+          model,
+          messages,
+          response_format,
+          validation_retries = 0,
+        } = request.params.arguments;
+        const progressToken = request.params._meta?.progressToken;
+
+        log("Executing chatCompletion with model:", model);
+        log("Messages:", { messages });
+
+        try {
+          const structured = ["json_object", "json_schema"].includes(
+            response_format?.type
+          );
+          const schema =
+            response_format?.type === "json_schema"
+              ? response_format.json_schema?.schema
+              : undefined;
+          // Reject a broken schema before paying for a call
+          if (schema) compileSchema(schema);
+
+          let progress = 0;
+          let conversation = messages;
+          let data;
+          let reply;
+          const usage = {};
+
+          // With a response format, invalid JSON is sent back to the model with
+          // the validation errors, up to validation_retries times
+          for (let attempt = 0; ; attempt++) {
+            data = await requestChatCompletion(
+              { ...request.params.arguments, messages: conversation },
+              {
+                onChunk: async (chunk) => {
+                  const delta = chunk.choices?.[0]?.delta?.content;
+
+                  // Forward partial text only when the client asked for progress
+                  if (!delta || progressToken === undefined || !extra) return;
+                  progress += 1;
+                  await extra.sendNotification({
+                    method: "notifications/progress",
+                    params: { progressToken, progress, message: delta },
+                  });
+                },
+                // Replies that fail validation are not cached, or a retry
+                // with the same arguments would get the same reply back
+                shouldCache: (reply) => {
+                  const message = reply.choices?.[0]?.message || {};
+                  return (
+                    !structured ||
+                    Boolean(message.tool_calls || message.refusal) ||
+                    checkStructuredReply(message.content, schema).errors
+                      .length === 0
+                  );
+                },
+              }
+            );
+            for (const [key, value] of Object.entries(data.usage || {})) {
+              if (typeof value === "number")
+                usage[key] = (usage[key] || 0) + value;
+            }
+
+            const message = data.choices[0].message;
+            if (!structured || message.tool_calls || message.refusal) break;
+
+            reply = checkStructuredReply(message.content, schema);
+            reply.attempts = attempt + 1;
+            if (reply.errors.length === 0 || attempt >= validation_retries)
+              break;
+
+            log(
+              "Structured output invalid, asking again:",
+              reply.errors.join("; ")
+            );
+            conversation = [
+              ...conversation,
+              { role: "assistant", content: message.content },
+              {
+                role: "user",
+                content: `That response is not valid:\n${reply.errors
+                  .map((error) => `- ${error}`)
+                  .join("\n")}\nReply again with only the corrected JSON.`,
+              },
+            ];
+          }
+
+          // Extract the assistant's message
+          const assistantMessage = data.choices[0].message.content;
+          const toolCalls = data.choices[0].message.tool_calls;
+          const refusal = data.choices[0].message.refusal;
+          const content = [];
+
+          if (assistantMessage || !toolCalls || toolCalls.length === 0) {
+            content.push({
+              type: "text",
+              text: assistantMessage || refusal || "",
+            });
+          }
+
+          const result = {
+            content,
+            metadata: {
+              model: data.model,
+              usage: Object.keys(usage).length ? usage : data.usage,
+              finish_reason: data.choices[0].finish_reason,
+              cache: CACHE_STATUS.get(data),
+              moderation: MODERATION_RESULTS.get(data),
+              refusal: refusal ? true : undefined,
+              attempts: reply?.attempts,
+            },
+          };
+
+          // Return tool calls both as readable JSON and as structured content so
+          // the caller can feed them back as an assistant message
+          if (toolCalls && toolCalls.length > 0) {
+            content.push({
+              type: "text",
+              text: `Tool calls:\n${JSON.stringify(toolCalls, null, 2)}`,
+            });
+            result.structuredContent = {
+              role: "assistant",
+              content: assistantMessage || null,
+              tool_calls: toolCalls,
+            };
+          }
+
+          if (reply && reply.errors.length > 0) {
+            content.push({
+              type: "text",
+              text: `Response does not match the requested format after ${
+                reply.attempts
+              } attempt(s):\n${reply.errors.map((error) => `- ${error}`).join("\n")}`,
+            });
+            result.metadata.validation_errors = reply.errors;
+            result.isError = true;
+          } else if (reply) {
+            // Structured content must be an object, so other JSON values are
+            // wrapped
+            result.structuredContent =
+              reply.value !== null &&
+              typeof reply.value === "object" &&
+              !Array.isArray(reply.value)
+                ? reply.value
+                : { value: reply.value };
+          }
+
+          return result;
+        } catch (error) {
+          LOGGER.error("Error in chatCompletion:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
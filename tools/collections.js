@@ -0,0 +1,486 @@
+import * as vectorStore from "../vector-store.js";
+import {
+  LOCAL_DELETE,
+  LOCAL_READ,
+  LOCAL_WRITE,
+  READ_ONLY,
+  WRITE,
+  providerSchema,
+} from "./shared.js";
+
+// Vector store tools: collections of chunked, embedded documents stored
+// under VECTOR_STORE_DIR and searched by similarity
+export default function collectionTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  VECTOR_STORE_DIR,
+  MODEL_POLICY,
+  getProvider,
+  collectionEmbedder,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+  const METADATA_FILTER = {
+    type: "object",
+    description:
+      'Metadata filter: { key: value } for equality, or { key: { "$in": [...] } } using $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte',
+  };
+
+  return [
+    // Create a named vector store collection
+    {
+      name: "createCollection",
+      description: "Create a named collection in the local vector store",
+      annotations: LOCAL_WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description:
+              "Collection name (letters, digits, _ or -, up to 64 characters)",
+          },
+          description: {
+            type: "string",
+            description: "What the collection contains",
+          },
+          model: {
+            type: "string",
+            description:
+              "Embedding model used for documents and queries (e.g., text-embedding-3-small)",
+          },
+          dimensions: {
+            type: "integer",
+            minimum: 1,
+            description: "Vector dimensions (text-embedding-3 models only)",
+          },
+          chunk_size: {
+            type: "integer",
+            minimum: 1,
+            description: "Maximum characters per chunk (default 1000)",
+          },
+          chunk_overlap: {
+            type: "integer",
+            minimum: 0,
+            description:
+              "Characters shared by adjacent chunks, smaller than chunk_size (default: 200, or a fifth of chunk_size if that is less)",
+          },
+          provider: {
+            ...PROVIDER,
+            description: `${PROVIDER.description}. Used for every embedding call on this collection`,
+          },
+        },
+        required: ["name"],
+      },
+      handler: async (request) => {
+        const {
+          name,
+          description,
+          model,
+          dimensions,
+          chunk_size,
+          chunk_overlap,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing createCollection:", name);
+
+        try {
+          const size = chunk_size !== undefined ? chunk_size : 1000;
+          // The default overlap shrinks with small chunks so it stays
+          // smaller than them
+          const overlap =
+            chunk_overlap !== undefined
+              ? chunk_overlap
+              : Math.min(200, Math.floor(size / 5));
+
+          // Fail early on an unknown provider rather than on the first insert
+          if (provider !== undefined) getProvider(provider);
+
+          const collection = await vectorStore.createCollection(
+            VECTOR_STORE_DIR,
+            {
+              name,
+              description,
+              provider,
+              model: MODEL_POLICY.resolveModel(model, {
+                tool: "createCollection",
+                family: "embedding",
+              }),
+              dimensions,
+              chunk_size: size,
+              chunk_overlap: overlap,
+            }
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Created collection ${collection.name} (model: ${collection.model})`,
+              },
+            ],
+            structuredContent: collection,
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in createCollection:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // List vector store collections
+    {
+      name: "listCollections",
+      description: "List collections in the local vector store",
+      annotations: LOCAL_READ,
+      inputSchema: {
+        type: "object",
+        properties: {},
+        required: [],
+      },
+      handler: async () => {
+        log("Executing listCollections");
+
+        try {
+          const collections =
+            await vectorStore.listCollections(VECTOR_STORE_DIR);
+
+          const formatted = collections
+            .map(
+              (c) =>
+                `- ${c.name}: ${c.documents} documents, ${c.chunks} chunks (model: ${c.model})`
+            )
+            .join("\n");
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: collections.length
+                  ? `Collections:\n\n${formatted}`
+                  : "No collections",
+              },
+            ],
+            structuredContent: { collections },
+            metadata: {
+              count: collections.length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in listCollections:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Delete a vector store collection and all of its documents
+    {
+      name: "deleteCollection",
+      description: "Delete a vector store collection and all its documents",
+      annotations: LOCAL_DELETE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "Collection name",
+          },
+        },
+        required: ["name"],
+      },
+      handler: async (request) => {
+        const { name } = request.params.arguments;
+
+        log("Executing deleteCollection:", name);
+
+        try {
+          await vectorStore.deleteCollection(VECTOR_STORE_DIR, name);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Deleted collection ${name}`,
+              },
+            ],
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in deleteCollection:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Chunk, embed and store documents in a collection
+    {
+      name: "addDocuments",
+      description:
+        "Chunk, embed and store documents in a vector store collection",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          collection: {
+            type: "string",
+            description: "Collection name",
+          },
+          documents: {
+            type: "array",
+            description:
+              "Documents to add; a document with an existing id is replaced",
+            items: {
+              type: "object",
+              properties: {
+                id: {
+                  type: "string",
+                  description: "Document id (generated when omitted)",
+                },
+                text: {
+                  type: "string",
+                  description: "The document text",
+                },
+                metadata: {
+                  type: "object",
+                  description: "Arbitrary metadata used for filtering",
+                },
+              },
+              required: ["text"],
+            },
+          },
+        },
+        required: ["collection", "documents"],
+      },
+      handler: async (request) => {
+        const { collection: name, documents } = request.params.arguments;
+
+        log("Executing addDocuments:", name);
+
+        try {
+          if (!Array.isArray(documents) || documents.length === 0) {
+            throw new Error(
+              "Documents array is required and must not be empty"
+            );
+          }
+
+          const collection = await vectorStore.getCollection(
+            VECTOR_STORE_DIR,
+            name
+          );
+          const result = await vectorStore.addDocuments(
+            VECTOR_STORE_DIR,
+            name,
+            documents,
+            collectionEmbedder(collection)
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Added ${result.ids.length} document(s) as ${result.chunks} chunk(s) to ${name}`,
+              },
+            ],
+            structuredContent: result,
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in addDocuments:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Remove documents from a collection by id or metadata filter
+    {
+      name: "deleteDocuments",
+      description:
+        "Delete documents from a vector store collection by id or metadata filter",
+      annotations: LOCAL_DELETE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          collection: {
+            type: "string",
+            description: "Collection name",
+          },
+          ids: {
+            type: "array",
+            description: "Ids of the documents to delete",
+            items: { type: "string" },
+          },
+          filter: METADATA_FILTER,
+        },
+        required: ["collection"],
+      },
+      handler: async (request) => {
+        const { collection: name, ids, filter } = request.params.arguments;
+
+        log("Executing deleteDocuments:", name);
+
+        try {
+          if ((!ids || ids.length === 0) && !filter) {
+            throw new Error("Either ids or filter is required");
+          }
+
+          const removed = await vectorStore.deleteDocuments(
+            VECTOR_STORE_DIR,
+            name,
+            { ids, filter }
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Deleted ${removed.length} document(s) from ${name}`,
+              },
+            ],
+            structuredContent: { ids: removed },
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in deleteDocuments:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Semantic search over a collection
+    {
+      name: "queryCollection",
+      description:
+        "Find the chunks most similar to a query in a vector store collection",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          collection: {
+            type: "string",
+            description: "Collection name",
+          },
+          query: {
+            type: "string",
+            description: "The text to search for",
+          },
+          top_k: {
+            type: "integer",
+            minimum: 1,
+            description: "Number of results to return (default 5)",
+          },
+          filter: METADATA_FILTER,
+          min_score: {
+            type: "number",
+            minimum: -1,
+            maximum: 1,
+            description: "Minimum cosine similarity for a result",
+          },
+        },
+        required: ["collection", "query"],
+      },
+      handler: async (request) => {
+        const {
+          collection: name,
+          query,
+          top_k,
+          filter,
+          min_score,
+        } = request.params.arguments;
+
+        log("Executing queryCollection:", name);
+
+        try {
+          if (!query) {
+            throw new Error("Query is required");
+          }
+
+          const collection = await vectorStore.getCollection(
+            VECTOR_STORE_DIR,
+            name
+          );
+          const [vector] = await collectionEmbedder(collection)([query]);
+          const matches = vectorStore.searchCollection(collection, vector, {
+            topK: top_k !== undefined ? top_k : 5,
+            filter,
+            minScore: min_score,
+          });
+
+          const formatted = matches
+            .map(
+              (m, i) =>
+                `${i + 1}. [${m.id}#${m.chunk}] score ${m.score.toFixed(4)}\n${m.text}`
+            )
+            .join("\n\n");
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: matches.length ? formatted : "No matching documents",
+              },
+            ],
+            structuredContent: { matches },
+            metadata: {
+              count: matches.length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in queryCollection:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,380 @@
+import * as conversations from "../conversations.js";
+import {
+  LOCAL_DELETE,
+  LOCAL_READ,
+  LOCAL_WRITE,
+  WRITE,
+  providerSchema,
+} from "./shared.js";
+
+// Server-side conversations stored under CONVERSATIONS_DIR, which keep
+// their own history and settings between calls
+export default function conversationTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  CONVERSATIONS_DIR,
+  MODEL_POLICY,
+  MODERATION_RESULTS,
+  getProvider,
+  requestChatCompletion,
+  notifyResourceListChanged,
+  notifyResourceUpdated,
+  conversationUri,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+  const CONVERSATION_ID = {
+    type: "string",
+    description: "The conversation id returned by startConversation",
+  };
+
+  return [
+    // Start a server-side conversation with a system prompt and model settings
+    {
+      name: "startConversation",
+      description:
+        "Start a server-side conversation; continue it with sendMessage using only its id",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          title: {
+            type: "string",
+            description: "A short title shown in conversation lists",
+          },
+          system: {
+            type: "string",
+            description: "System prompt sent before every turn",
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use for every turn (default: ${MODEL_POLICY.defaults.chat})`,
+          },
+          temperature: {
+            type: "number",
+            minimum: 0,
+            maximum: 2,
+            description: "Controls randomness (0-2, default: 0.7)",
+          },
+          max_tokens: {
+            type: "integer",
+            minimum: 1,
+            description: "Maximum number of tokens per reply (default: 150)",
+          },
+          provider: PROVIDER,
+        },
+        required: [],
+      },
+      handler: async (request) => {
+        const { title, system, model, temperature, max_tokens, provider } =
+          request.params.arguments || {};
+
+        log("Executing startConversation with model:", model);
+
+        try {
+          getProvider(provider);
+          const conversation = await conversations.createConversation(
+            CONVERSATIONS_DIR,
+            {
+              title,
+              system,
+              model: MODEL_POLICY.resolveModel(model, {
+                tool: "chatCompletion",
+                family: "chat",
+              }),
+              provider,
+              temperature,
+              max_tokens,
+            }
+          );
+          notifyResourceListChanged();
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Started conversation ${conversation.id} with ${conversation.model}`,
+              },
+            ],
+            structuredContent: {
+              id: conversation.id,
+              model: conversation.model,
+            },
+            metadata: {
+              conversation_id: conversation.id,
+              resource: conversationUri(conversation.id),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in startConversation:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Add a user turn to a conversation and return the model's reply
+    {
+      name: "sendMessage",
+      description:
+        "Add a user message to a conversation and return the model's reply; both are saved to the transcript",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          conversation_id: CONVERSATION_ID,
+          content: {
+            type: ["string", "array"],
+            description:
+              "The user message: a string or an array of content parts, as in chatCompletion",
+          },
+        },
+        required: ["conversation_id", "content"],
+      },
+      handler: async (request) => {
+        const { conversation_id, content } = request.params.arguments;
+
+        log("Executing sendMessage in conversation:", conversation_id);
+
+        try {
+          if (
+            content === undefined ||
+            content === "" ||
+            (Array.isArray(content) && content.length === 0)
+          ) {
+            throw new Error("Content is required");
+          }
+
+          let data;
+          const conversation = await conversations.addTurn(
+            CONVERSATIONS_DIR,
+            conversation_id,
+            { role: "user", content },
+            async (current) => {
+              data = await requestChatCompletion({
+                model: current.model,
+                messages: conversations.conversationMessages(current),
+                temperature: current.temperature,
+                max_tokens: current.max_tokens,
+                provider: current.provider,
+              });
+              return data;
+            }
+          );
+
+          notifyResourceUpdated(conversationUri(conversation.id));
+
+          const reply = data.choices[0].message;
+          const replyContent = [{ type: "text", text: reply.content || "" }];
+          if (reply.tool_calls && reply.tool_calls.length > 0) {
+            replyContent.push({
+              type: "text",
+              text: `Tool calls:\n${JSON.stringify(reply.tool_calls, null, 2)}`,
+            });
+          }
+
+          return {
+            content: replyContent,
+            metadata: {
+              conversation_id: conversation.id,
+              model: data.model,
+              usage: data.usage,
+              finish_reason: data.choices[0].finish_reason,
+              moderation: MODERATION_RESULTS.get(data),
+              messages: conversation.messages.length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in sendMessage:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // List server-side conversations, most recently updated first
+    {
+      name: "listConversations",
+      description:
+        "List server-side conversations, most recently updated first",
+      annotations: LOCAL_READ,
+      inputSchema: {
+        type: "object",
+        properties: {},
+        required: [],
+      },
+      handler: async () => {
+        log("Executing listConversations");
+
+        try {
+          const list = await conversations.listConversations(CONVERSATIONS_DIR);
+
+          const formatted = list
+            .map(
+              (c) =>
+                `- ${c.id}${c.title ? ` "${c.title}"` : ""}: ${c.messages} messages (model: ${c.model}, updated: ${c.updated})`
+            )
+            .join("\n");
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: list.length
+                  ? `Conversations:\n\n${formatted}`
+                  : "No conversations",
+              },
+            ],
+            structuredContent: { conversations: list },
+            metadata: {
+              count: list.length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in listConversations:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Copy a conversation, optionally only up to an earlier message
+    {
+      name: "forkConversation",
+      description:
+        "Copy a conversation under a new id to branch the dialogue, optionally from an earlier message",
+      annotations: LOCAL_WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          conversation_id: CONVERSATION_ID,
+          keep_messages: {
+            type: "integer",
+            minimum: 0,
+            description:
+              "Number of transcript messages to keep, from the start (default: all)",
+          },
+          title: {
+            type: "string",
+            description: "Title for the copy (default: the original's title)",
+          },
+        },
+        required: ["conversation_id"],
+      },
+      handler: async (request) => {
+        const { conversation_id, keep_messages, title } =
+          request.params.arguments;
+
+        log("Executing forkConversation:", conversation_id);
+
+        try {
+          const conversation = await conversations.forkConversation(
+            CONVERSATIONS_DIR,
+            conversation_id,
+            { keep: keep_messages, title }
+          );
+          notifyResourceListChanged();
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Forked ${conversation_id} as ${conversation.id} with ${conversation.messages.length} message(s)`,
+              },
+            ],
+            structuredContent: {
+              id: conversation.id,
+              forked_from: conversation_id,
+            },
+            metadata: {
+              conversation_id: conversation.id,
+              resource: conversationUri(conversation.id),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in forkConversation:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Delete a conversation and its transcript
+    {
+      name: "deleteConversation",
+      description: "Delete a conversation and its transcript",
+      annotations: LOCAL_DELETE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          conversation_id: CONVERSATION_ID,
+        },
+        required: ["conversation_id"],
+      },
+      handler: async (request) => {
+        const { conversation_id } = request.params.arguments;
+
+        log("Executing deleteConversation:", conversation_id);
+
+        try {
+          await conversations.deleteConversation(
+            CONVERSATIONS_DIR,
+            conversation_id
+          );
+          notifyResourceListChanged();
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Deleted conversation ${conversation_id}`,
+              },
+            ],
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in deleteConversation:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
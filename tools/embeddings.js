@@ -0,0 +1,136 @@
+import { BYPASS_CACHE, READ_ONLY, providerSchema } from "./shared.js";
+
+// The createEmbedding tool
+export default function embeddingTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  MODEL_POLICY,
+  CACHE_STATUS,
+  requestEmbeddings,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // Generate embeddings
+    {
+      name: "createEmbedding",
+      description: "Generate embeddings for text using OpenAI's embedding API",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          model: {
+            type: "string",
+            description: `The model or alias to use (e.g., text-embedding-3-small; default: ${MODEL_POLICY.defaults.embedding})`,
+          },
+          input: {
+            type: ["string", "array"],
+            description:
+              "The text to embed, can be a string or array of strings",
+          },
+          dimensions: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Number of dimensions for the output vectors (text-embedding-3 models only)",
+          },
+          encoding_format: {
+            type: "string",
+            enum: ["float", "base64"],
+            description:
+              "Return vectors as float arrays (default) or base64-encoded little-endian float32",
+          },
+          provider: PROVIDER,
+          bypass_cache: BYPASS_CACHE,
+        },
+        required: ["input"],
+      },
+      handler: async (request) => {
+        const {
+          model,
+          input,
+          dimensions,
+          encoding_format,
+          provider,
+          bypass_cache,
+        } = request.params.arguments;
+
+        log("Executing createEmbedding with model:", model);
+
+        try {
+          // Validate required parameters
+          if (!input) {
+            throw new Error("Input is required");
+          }
+
+          // Prepare request to OpenAI
+          const openaiRequest = {
+            model,
+            input,
+          };
+          if (dimensions !== undefined) openaiRequest.dimensions = dimensions;
+          if (encoding_format !== undefined) {
+            openaiRequest.encoding_format = encoding_format;
+          }
+
+          const data = await requestEmbeddings(openaiRequest, provider, {
+            bypassCache: bypass_cache === true,
+          });
+          const embeddings = data.data.map(({ index, embedding }) => ({
+            index,
+            embedding,
+          }));
+
+          // base64 vectors are packed little-endian float32 values
+          const first = embeddings[0].embedding;
+          const dimension =
+            typeof first === "string"
+              ? Buffer.from(first, "base64").length / 4
+              : first.length;
+
+          const vectors = {
+            model: data.model,
+            encoding_format: encoding_format || "float",
+            dimension,
+            data: embeddings,
+          };
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Generated ${embeddings.length} embedding(s). Vector dimension: ${dimension}`,
+              },
+              {
+                type: "text",
+                text: JSON.stringify(vectors),
+              },
+            ],
+            structuredContent: vectors,
+            metadata: {
+              model: data.model,
+              usage: data.usage,
+              count: embeddings.length,
+              dimension,
+              cache: CACHE_STATUS.get(data),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in createEmbedding:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
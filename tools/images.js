@@ -0,0 +1,362 @@
+import * as images from "../images.js";
+import { WRITE, providerSchema } from "./shared.js";
+
+// Image generation, editing and variations
+export default function imageTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  IMAGE_OUTPUT_DIR,
+  MODEL_POLICY,
+  INPUT_FILES,
+  requestImages,
+  imageResult,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+  const IMAGE_COUNT = {
+    type: "integer",
+    minimum: 1,
+    maximum: 10,
+    description:
+      "Number of images to create (dall-e-3: 1; dall-e-2 and gpt-image-1: up to 10)",
+  };
+  const SAVE_IMAGES = {
+    type: "boolean",
+    description: `Also save the images to ${IMAGE_OUTPUT_DIR} (default: false)`,
+  };
+  const INPUT_IMAGE = {
+    type: "string",
+    description:
+      "A file path, data: URL or base64 string (dall-e-2: square PNG under 4 MB; gpt-image-1: PNG, JPEG or WebP)",
+  };
+
+  return [
+    // Generate images from a prompt
+    {
+      name: "generateImage",
+      description:
+        "Generate images from a text prompt with OpenAI's images API; returns image content blocks",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          prompt: {
+            type: "string",
+            description: "A description of the desired image",
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use (dall-e-2, dall-e-3, gpt-image-1; default: ${MODEL_POLICY.defaults.image})`,
+          },
+          n: IMAGE_COUNT,
+          size: {
+            type: "string",
+            description:
+              "dall-e-2: 256x256, 512x512, 1024x1024; dall-e-3: 1024x1024, 1792x1024, 1024x1792; gpt-image-1: auto, 1024x1024, 1536x1024, 1024x1536",
+          },
+          quality: {
+            type: "string",
+            description:
+              "dall-e-3: standard or hd; gpt-image-1: auto, low, medium or high",
+          },
+          style: {
+            type: "string",
+            enum: ["vivid", "natural"],
+            description: "Image style (dall-e-3 only)",
+          },
+          background: {
+            type: "string",
+            enum: ["auto", "transparent", "opaque"],
+            description: "Background transparency (gpt-image-1 only)",
+          },
+          output_format: {
+            type: "string",
+            enum: ["png", "jpeg", "webp"],
+            description: "Image format (gpt-image-1 only; default: png)",
+          },
+          save: SAVE_IMAGES,
+          provider: PROVIDER,
+        },
+        required: ["prompt"],
+      },
+      handler: async (request) => {
+        const {
+          prompt,
+          model,
+          n,
+          size,
+          quality,
+          style,
+          background,
+          output_format,
+          save,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing generateImage with model:", model);
+
+        try {
+          if (!prompt) {
+            throw new Error("Prompt is required");
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "generateImage",
+            family: "image",
+          });
+          images.validateImageParams(resolvedModel, "generate", {
+            size,
+            quality,
+            style,
+            n,
+          });
+
+          const data = await requestImages("/images/generations", {
+            model: resolvedModel,
+            fields: {
+              prompt,
+              n,
+              size,
+              quality,
+              style,
+              background,
+              output_format,
+            },
+            provider,
+          });
+
+          return await imageResult(data, {
+            tool: "generateImage",
+            model: resolvedModel,
+            outputFormat: output_format,
+            save,
+          });
+        } catch (error) {
+          LOGGER.error("Error in generateImage:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Edit images from a prompt, optionally only where a mask is transparent
+    {
+      name: "editImage",
+      description:
+        "Edit an image from a text prompt, optionally only where a mask is transparent; returns image content blocks",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          image: {
+            type: ["string", "array"],
+            items: { type: "string" },
+            description: `${INPUT_IMAGE.description}. gpt-image-1 accepts an array of up to 16 images`,
+          },
+          mask: {
+            ...INPUT_IMAGE,
+            description:
+              "A PNG with the same size as the image whose fully transparent areas mark where to edit (file path, data: URL or base64)",
+          },
+          prompt: {
+            type: "string",
+            description: "A description of the desired result",
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use (dall-e-2 or gpt-image-1; default: ${MODEL_POLICY.defaults.editImage})`,
+          },
+          n: IMAGE_COUNT,
+          size: {
+            type: "string",
+            description:
+              "dall-e-2: 256x256, 512x512, 1024x1024; gpt-image-1: auto, 1024x1024, 1536x1024, 1024x1536",
+          },
+          quality: {
+            type: "string",
+            description: "gpt-image-1 only: auto, low, medium or high",
+          },
+          output_format: {
+            type: "string",
+            enum: ["png", "jpeg", "webp"],
+            description: "Image format (gpt-image-1 only; default: png)",
+          },
+          save: SAVE_IMAGES,
+          provider: PROVIDER,
+        },
+        required: ["image", "prompt"],
+      },
+      handler: async (request) => {
+        const {
+          image,
+          mask,
+          prompt,
+          model,
+          n,
+          size,
+          quality,
+          output_format,
+          save,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing editImage with model:", model);
+
+        try {
+          if (!image || (Array.isArray(image) && image.length === 0)) {
+            throw new Error("Image is required");
+          }
+          if (!prompt) {
+            throw new Error("Prompt is required");
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "editImage",
+            family: "image",
+          });
+          images.validateImageParams(resolvedModel, "edit", {
+            size,
+            quality,
+            n,
+          });
+
+          // gpt-image-1 accepts several input images as image[]
+          const inputs = Array.isArray(image) ? image : [image];
+          const files = inputs.map((value, index) => ({
+            field: inputs.length > 1 ? "image[]" : "image",
+            ...images.readInputImage(
+              value,
+              resolvedModel,
+              inputs.length > 1 ? `image[${index}]` : "image",
+              INPUT_FILES
+            ),
+          }));
+          if (mask) {
+            files.push({
+              field: "mask",
+              ...images.readInputImage(
+                mask,
+                resolvedModel,
+                "mask",
+                INPUT_FILES
+              ),
+            });
+          }
+
+          const data = await requestImages("/images/edits", {
+            model: resolvedModel,
+            fields: { prompt, n, size, quality, output_format },
+            files,
+            provider,
+          });
+
+          return await imageResult(data, {
+            tool: "editImage",
+            model: resolvedModel,
+            outputFormat: output_format,
+            save,
+          });
+        } catch (error) {
+          LOGGER.error("Error in editImage:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Create variations of an image
+    {
+      name: "createImageVariation",
+      description:
+        "Create variations of an image (dall-e-2); returns image content blocks",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          image: INPUT_IMAGE,
+          model: {
+            type: "string",
+            description: `The model or alias to use (default: ${MODEL_POLICY.defaults.createImageVariation})`,
+          },
+          n: IMAGE_COUNT,
+          size: {
+            type: "string",
+            enum: ["256x256", "512x512", "1024x1024"],
+            description: "Image size (default: 1024x1024)",
+          },
+          save: SAVE_IMAGES,
+          provider: PROVIDER,
+        },
+        required: ["image"],
+      },
+      handler: async (request) => {
+        const { image, model, n, size, save, provider } =
+          request.params.arguments;
+
+        log("Executing createImageVariation with model:", model);
+
+        try {
+          if (!image) {
+            throw new Error("Image is required");
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "createImageVariation",
+            family: "image",
+          });
+          images.validateImageParams(resolvedModel, "variation", { size, n });
+
+          const data = await requestImages("/images/variations", {
+            model: resolvedModel,
+            fields: { n, size },
+            files: [
+              {
+                field: "image",
+                ...images.readInputImage(
+                  image,
+                  resolvedModel,
+                  "image",
+                  INPUT_FILES
+                ),
+              },
+            ],
+            provider,
+          });
+
+          return await imageResult(data, {
+            tool: "createImageVariation",
+            model: resolvedModel,
+            save,
+          });
+        } catch (error) {
+          LOGGER.error("Error in createImageVariation:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,100 @@
+import { READ_ONLY, providerSchema } from "./shared.js";
+
+// The listModels tool: the models a provider offers, marked with whether
+// the model policy allows them
+export default function modelTools({
+  DEFAULT_PROVIDER,
+  PROVIDERS,
+  LOGGER,
+  log,
+  MODEL_POLICY,
+  getProvider,
+  requestModels,
+  refreshModels,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // List available models
+    {
+      name: "listModels",
+      description: "List available OpenAI models",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          provider: PROVIDER,
+        },
+        required: [],
+      },
+      handler: async (request) => {
+        const { provider } = request.params.arguments || {};
+
+        log("Executing listModels");
+
+        try {
+          // Lists from the default provider also refresh the models resources
+          const data =
+            getProvider(provider).name === DEFAULT_PROVIDER
+              ? await refreshModels()
+              : await requestModels(provider);
+
+          const models = data.data.map((model) => ({
+            id: model.id,
+            created: model.created,
+            allowed: MODEL_POLICY.isAllowed(model.id),
+          }));
+
+          // Format the models in a readable way
+          const formattedModels = models
+            .map(
+              (model) =>
+                // Compatible servers do not always report a creation time
+                `- ${model.id}${
+                  model.created
+                    ? ` (created: ${new Date(model.created * 1000).toISOString()})`
+                    : ""
+                }${model.allowed ? "" : " [not allowed]"}`
+            )
+            .join("\n");
+
+          const aliases = Object.entries(MODEL_POLICY.aliases)
+            .map(([alias, model]) => `- ${alias} -> ${model}`)
+            .join("\n");
+
+          return {
+            content: [
+              {
+                type: "text",
+                text:
+                  `Available OpenAI Models:\n\n${formattedModels}` +
+                  (aliases ? `\n\nModel aliases:\n\n${aliases}` : ""),
+              },
+            ],
+            structuredContent: {
+              models,
+              aliases: MODEL_POLICY.aliases,
+              defaults: MODEL_POLICY.defaults,
+            },
+            metadata: {
+              count: data.data.length,
+              allowed: models.filter((model) => model.allowed).length,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error listing models:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error listing models: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
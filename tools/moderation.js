@@ -0,0 +1,150 @@
+import * as images from "../images.js";
+import { READ_ONLY, providerSchema } from "./shared.js";
+
+// The moderateContent tool: classify text and images against the
+// moderation categories and the configured thresholds
+export default function moderationTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  MODERATION,
+  INPUT_FILES,
+  requestModeration,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // Classify text and images against OpenAI's moderation categories
+    {
+      name: "moderateContent",
+      description:
+        "Check text and images against OpenAI's moderation categories (harassment, hate, self-harm, sexual, violence, ...) and report which exceed the configured thresholds",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          input: {
+            type: ["string", "array"],
+            items: { type: "string" },
+            description:
+              "Text to classify, or an array of texts classified separately",
+          },
+          images: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              "Images to classify with the text (https URL, file path, data: URL or base64; omni-moderation models only)",
+          },
+          model: {
+            type: "string",
+            description: `The moderation model (default: ${MODERATION.model})`,
+          },
+          thresholds: {
+            type: "object",
+            additionalProperties: { type: "number", minimum: 0, maximum: 1 },
+            description:
+              'Score limits from 0 to 1 by category for this call, e.g. { "violence": 0.5 }; "*" applies to unlisted categories. Defaults to MODERATION_THRESHOLDS, then to the API\'s own verdict',
+          },
+          provider: PROVIDER,
+        },
+      },
+      handler: async (request) => {
+        const {
+          input,
+          images: imageInputs = [],
+          model,
+          thresholds,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing moderateContent with model:", model);
+
+        try {
+          const texts = input === undefined ? [] : [].concat(input);
+          if (texts.length === 0 && imageInputs.length === 0) {
+            throw new Error("Input or images are required");
+          }
+          if (texts.some((text) => typeof text !== "string")) {
+            throw new Error("input must be a string or an array of strings");
+          }
+          for (const [category, limit] of Object.entries(thresholds || {})) {
+            if (!(typeof limit === "number" && limit >= 0 && limit <= 1)) {
+              throw new Error(
+                `thresholds.${category} must be a number between 0 and 1`
+              );
+            }
+          }
+
+          // Images go in a single multimodal input alongside the first text;
+          // remote URLs are passed on, anything else is read and inlined
+          let body = texts.length === 1 ? texts[0] : texts;
+          if (imageInputs.length > 0) {
+            const parts = imageInputs.map((value, index) => {
+              if (/^https?:\/\//.test(value)) {
+                return { type: "image_url", image_url: { url: value } };
+              }
+              const image = images.readInputImage(
+                value,
+                undefined,
+                `images[${index}]`,
+                INPUT_FILES
+              );
+              return {
+                type: "image_url",
+                image_url: {
+                  url: `data:${image.type};base64,${image.buffer.toString("base64")}`,
+                },
+              };
+            });
+            body = [...texts.map((text) => ({ type: "text", text })), ...parts];
+          }
+
+          const data = await requestModeration(
+            { model: model || MODERATION.model, input: body },
+            provider
+          );
+
+          const results = data.results.map((result) => {
+            const violations = MODERATION.violations(result, thresholds);
+            return {
+              flagged: violations.length > 0,
+              violations,
+              categories: result.categories,
+              category_scores: result.category_scores,
+            };
+          });
+
+          const lines = results.map((result, index) => {
+            const label = results.length > 1 ? `Input ${index + 1}: ` : "";
+            if (!result.flagged) return `${label}not flagged`;
+            return `${label}flagged for ${result.violations
+              .map(({ category, score }) => `${category} (${score.toFixed(3)})`)
+              .join(", ")}`;
+          });
+
+          return {
+            content: [{ type: "text", text: lines.join("\n") }],
+            structuredContent: { results },
+            metadata: {
+              model: data.model,
+              flagged: results.some((result) => result.flagged),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in moderateContent:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,121 @@
+import * as promptTemplates from "../prompt-templates.js";
+import { READ_ONLY, providerSchema } from "./shared.js";
+
+// The runPrompt tool: prompt templates from PROMPTS_DIR run through chat
+// completion
+export default function promptTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  PROMPTS_DIR,
+  CACHE_STATUS,
+  MODERATION_RESULTS,
+  requestChatCompletion,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+
+  return [
+    // Fill in a prompt template and run it through chat completion
+    {
+      name: "runPrompt",
+      description:
+        "Fill in a prompt template from the server's prompt library and run it as a chat completion",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description: "The template name, as listed by prompts/list",
+          },
+          arguments: {
+            type: "object",
+            description: "Values for the template's arguments, by name",
+          },
+          model: {
+            type: "string",
+            description:
+              "The model or alias to use (default: the template's model)",
+          },
+          temperature: {
+            type: "number",
+            minimum: 0,
+            maximum: 2,
+            description:
+              "Controls randomness (0-2, default: the template's temperature)",
+          },
+          max_tokens: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Maximum number of tokens to generate (default: the template's max_tokens)",
+          },
+          provider: PROVIDER,
+        },
+        required: ["name"],
+      },
+      handler: async (request) => {
+        const {
+          name,
+          arguments: args,
+          model,
+          temperature,
+          max_tokens,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing runPrompt:", name);
+
+        try {
+          const template = await promptTemplates.getTemplate(
+            PROMPTS_DIR,
+            name,
+            LOGGER.warn
+          );
+
+          // The call's settings win over the template's recommended ones
+          const data = await requestChatCompletion(
+            {
+              model: model ?? template.model,
+              messages: promptTemplates.renderTemplate(template, args),
+              temperature: temperature ?? template.temperature,
+              max_tokens: max_tokens ?? template.max_tokens,
+              provider,
+            },
+            { tool: "runPrompt" }
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: data.choices[0].message.content || "",
+              },
+            ],
+            metadata: {
+              prompt: template.name,
+              model: data.model,
+              usage: data.usage,
+              finish_reason: data.choices[0].finish_reason,
+              cache: CACHE_STATUS.get(data),
+              moderation: MODERATION_RESULTS.get(data),
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in runPrompt:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
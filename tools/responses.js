@@ -0,0 +1,323 @@
+import * as responses from "../responses.js";
+import { DELETE, READ_ONLY, WRITE, providerSchema } from "./shared.js";
+
+// Responses API tools: create, retrieve and delete stored responses
+export default function responseTools({
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  LOGGER,
+  log,
+  MODEL_POLICY,
+  MODERATION,
+  MODERATION_RESULTS,
+  toResponsesInput,
+  responsesInputText,
+  requestResponses,
+  responseResult,
+  guardContent,
+}) {
+  const PROVIDER = providerSchema(PROVIDERS, DEFAULT_PROVIDER);
+  const RESPONSE_ID = {
+    type: "string",
+    description: "The response id returned by createResponse",
+  };
+
+  return [
+    // Create a model response with the Responses API
+    {
+      name: "createResponse",
+      description:
+        "Generate a model response with OpenAI's Responses API, which supports newer models, reasoning settings and server-side chaining of turns. Returns the output text, function calls and reasoning summaries",
+      annotations: WRITE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          input: {
+            type: ["string", "array"],
+            items: { type: "object" },
+            description:
+              "A prompt, or an array of input items: messages ({ role, content }) whose content is a string or parts (input_text, input_image, or the text/image_url/image parts chatCompletion accepts), and items such as function_call_output",
+          },
+          instructions: {
+            type: "string",
+            description:
+              "System-level instructions; not carried over by previous_response_id",
+          },
+          model: {
+            type: "string",
+            description: `The model or alias to use (default: ${MODEL_POLICY.defaults.chat})`,
+          },
+          previous_response_id: {
+            type: "string",
+            description:
+              "Continue from an earlier stored response, so only the new input needs to be sent",
+          },
+          reasoning_effort: {
+            type: "string",
+            enum: responses.REASONING_EFFORTS,
+            description: "How much reasoning models think before answering",
+          },
+          reasoning_summary: {
+            type: "string",
+            enum: responses.REASONING_SUMMARIES,
+            description:
+              "Ask reasoning models for a summary of their reasoning",
+          },
+          max_output_tokens: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Maximum number of tokens to generate, including reasoning tokens (default: the model's ceiling, if one is set)",
+          },
+          temperature: {
+            type: "number",
+            minimum: 0,
+            maximum: 2,
+            description:
+              "Sampling temperature (not supported by reasoning models)",
+          },
+          tools: {
+            type: "array",
+            items: { type: "object" },
+            description:
+              'Tools the model may call: functions ({ "type": "function", name, description, parameters }) or built-in tools such as { "type": "web_search_preview" }',
+          },
+          tool_choice: {
+            type: ["string", "object"],
+            description:
+              '"auto", "none", "required", or a specific tool to call',
+          },
+          response_format: {
+            type: "object",
+            description:
+              'Request JSON output, as for chatCompletion: { "type": "json_schema", "json_schema": { name, schema, strict } } or { "type": "json_object" }',
+          },
+          store: {
+            type: "boolean",
+            description:
+              "Store the response so it can be retrieved or chained (default: true)",
+          },
+          provider: PROVIDER,
+        },
+        required: ["input"],
+      },
+      handler: async (request) => {
+        const {
+          input,
+          instructions,
+          model,
+          previous_response_id,
+          reasoning_effort,
+          reasoning_summary,
+          max_output_tokens,
+          temperature,
+          tools,
+          tool_choice,
+          response_format,
+          store,
+          provider,
+        } = request.params.arguments;
+
+        log("Executing createResponse with model:", model);
+
+        try {
+          if (input === undefined || input === "") {
+            throw new Error("Input is required");
+          }
+          if (
+            reasoning_effort !== undefined &&
+            !responses.REASONING_EFFORTS.includes(reasoning_effort)
+          ) {
+            throw new Error(
+              `reasoning_effort must be one of ${responses.REASONING_EFFORTS.join(", ")}`
+            );
+          }
+          if (
+            reasoning_summary !== undefined &&
+            !responses.REASONING_SUMMARIES.includes(reasoning_summary)
+          ) {
+            throw new Error(
+              `reasoning_summary must be one of ${responses.REASONING_SUMMARIES.join(", ")}`
+            );
+          }
+
+          const resolvedModel = MODEL_POLICY.resolveModel(model, {
+            tool: "createResponse",
+            family: "chat",
+          });
+          // Without max_output_tokens the model's ceiling applies, as the
+          // API's own default has none
+          const limited = MODEL_POLICY.applyLimits(resolvedModel, {
+            temperature,
+            max_tokens:
+              max_output_tokens ??
+              MODEL_POLICY.limitsFor(resolvedModel).max_tokens,
+          });
+
+          const body = {
+            model: resolvedModel,
+            input: toResponsesInput(input),
+            instructions,
+            previous_response_id,
+            max_output_tokens: limited.max_tokens,
+            temperature: limited.temperature,
+            tools,
+            tool_choice,
+            store,
+          };
+          if (reasoning_effort || reasoning_summary) {
+            body.reasoning = {
+              effort: reasoning_effort,
+              summary: reasoning_summary,
+            };
+          }
+          if (response_format) {
+            body.text = { format: responses.toTextFormat(response_format) };
+          }
+
+          const moderation = {};
+          if (MODERATION.checkInput) {
+            moderation.input = await guardContent(
+              "input",
+              responsesInputText(input, instructions)
+            );
+          }
+
+          const data = await requestResponses("/responses", {
+            provider,
+            model: resolvedModel,
+            method: "POST",
+            body,
+          });
+
+          if (MODERATION.checkOutput) {
+            const output = responses.responseOutput(data);
+            moderation.output = await guardContent("output", [
+              [
+                output.text,
+                ...output.functionCalls.map((call) => call.arguments),
+              ]
+                .filter(Boolean)
+                .join("\n"),
+            ]);
+          }
+          if (moderation.input || moderation.output) {
+            MODERATION_RESULTS.set(data, moderation);
+          }
+
+          return responseResult(data);
+        } catch (error) {
+          LOGGER.error("Error in createResponse:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Retrieve a stored response by id
+    {
+      name: "getResponse",
+      description: "Retrieve a stored response by id",
+      annotations: READ_ONLY,
+      inputSchema: {
+        type: "object",
+        properties: {
+          response_id: RESPONSE_ID,
+          provider: PROVIDER,
+        },
+        required: ["response_id"],
+      },
+      handler: async (request) => {
+        const { response_id, provider } = request.params.arguments;
+
+        log("Executing getResponse for response:", response_id);
+
+        try {
+          if (!response_id) {
+            throw new Error("response_id is required");
+          }
+
+          const data = await requestResponses(
+            `/responses/${encodeURIComponent(response_id)}`,
+            { provider, method: "GET" }
+          );
+          return responseResult(data);
+        } catch (error) {
+          LOGGER.error("Error in getResponse:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+    // Delete a stored response
+    {
+      name: "deleteResponse",
+      description: "Delete a stored response",
+      annotations: DELETE,
+      inputSchema: {
+        type: "object",
+        properties: {
+          response_id: RESPONSE_ID,
+          provider: PROVIDER,
+        },
+        required: ["response_id"],
+      },
+      handler: async (request) => {
+        const { response_id, provider } = request.params.arguments;
+
+        log("Executing deleteResponse for response:", response_id);
+
+        try {
+          if (!response_id) {
+            throw new Error("response_id is required");
+          }
+
+          const data = await requestResponses(
+            `/responses/${encodeURIComponent(response_id)}`,
+            { provider, method: "DELETE" }
+          );
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Deleted response ${response_id}`,
+              },
+            ],
+            metadata: {
+              response_id,
+              deleted: data.deleted !== false,
+            },
+          };
+        } catch (error) {
+          LOGGER.error("Error in deleteResponse:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,44 @@
+// Pieces shared by the built-in tool definitions. Annotations tell clients
+// whether a tool only reads, whether it may delete something and whether it
+// calls out to the provider.
+
+export const READ_ONLY = { readOnlyHint: true, openWorldHint: true };
+export const LOCAL_READ = { readOnlyHint: true, openWorldHint: false };
+export const WRITE = {
+  readOnlyHint: false,
+  destructiveHint: false,
+  openWorldHint: true,
+};
+export const LOCAL_WRITE = {
+  readOnlyHint: false,
+  destructiveHint: false,
+  openWorldHint: false,
+};
+export const DELETE = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: true,
+  openWorldHint: true,
+};
+export const LOCAL_DELETE = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: true,
+  openWorldHint: false,
+};
+
+export const BYPASS_CACHE = {
+  type: "boolean",
+  description:
+    "Skip the response cache and call the API, storing the fresh result (default: false)",
+};
+
+// The provider argument, listing the configured profiles
+export function providerSchema(providers, defaultProvider) {
+  return {
+    type: "string",
+    description: `Provider profile to call (configured: ${Object.keys(
+      providers
+    ).join(", ")}; default: ${defaultProvider})`,
+  };
+}
@@ -0,0 +1,123 @@
+import { LOCAL_READ } from "./shared.js";
+
+// The getUsage tool: recorded usage and spend from the usage ledger
+export default function usageTools({ LOGGER, log, USAGE_LEDGER }) {
+  return [
+    // Summarize recorded usage and spend
+    {
+      name: "getUsage",
+      description:
+        "Summarize recorded API usage and estimated spend by model, tool, caller or day",
+      annotations: LOCAL_READ,
+      inputSchema: {
+        type: "object",
+        properties: {
+          period: {
+            type: "string",
+            enum: ["today", "month", "7d", "30d", "all"],
+            description:
+              "Time window in UTC (default: month, or all when since/until are given)",
+          },
+          since: {
+            type: "string",
+            description: "Start of the window as an ISO 8601 date or time",
+          },
+          until: {
+            type: "string",
+            description:
+              "End of the window (exclusive) as an ISO 8601 date or time",
+          },
+          group_by: {
+            type: "string",
+            enum: ["model", "tool", "caller", "day"],
+            description: "How to group the summary (default: model)",
+          },
+        },
+        required: [],
+      },
+      handler: async (request) => {
+        const {
+          period,
+          since,
+          until,
+          group_by: groupBy = "model",
+        } = request.params.arguments || {};
+
+        log("Executing getUsage");
+
+        try {
+          // Periods are in UTC, matching the budget windows
+          const now = new Date();
+          const starts = {
+            today: now.toISOString().slice(0, 10),
+            month: `${now.toISOString().slice(0, 7)}-01`,
+            "7d": new Date(now - 7 * 86400000).toISOString(),
+            "30d": new Date(now - 30 * 86400000).toISOString(),
+            all: undefined,
+          };
+          const selected = period || (since || until ? "all" : "month");
+          if (!(selected in starts)) {
+            throw new Error(
+              `period must be one of ${Object.keys(starts).join(", ")}`
+            );
+          }
+
+          const summary = USAGE_LEDGER.summarize({
+            since: since || starts[selected],
+            until,
+            groupBy,
+          });
+
+          const formatted = summary.groups
+            .map(
+              (group) =>
+                `- ${group[groupBy] || "(unknown)"}: ${group.requests} request(s), ${
+                  group.prompt_tokens
+                } prompt + ${group.completion_tokens} completion tokens, $${group.cost.toFixed(6)}`
+            )
+            .join("\n");
+
+          const budget = [
+            summary.budget.daily !== undefined &&
+              `daily $${summary.budget.spent.day.toFixed(4)} of $${summary.budget.daily}`,
+            summary.budget.monthly !== undefined &&
+              `monthly $${summary.budget.spent.month.toFixed(4)} of $${summary.budget.monthly}`,
+          ].filter(Boolean);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text:
+                  `Usage (${since || starts[selected] || "all time"} to ${
+                    until || "now"
+                  }): ${summary.total.requests} request(s), ${
+                    summary.total.tokens
+                  } tokens, estimated $${summary.total.cost.toFixed(6)}` +
+                  (summary.total.unpriced
+                    ? ` (${summary.total.unpriced} request(s) for models without a price)`
+                    : "") +
+                  (formatted ? `\n\nBy ${groupBy}:\n${formatted}` : "") +
+                  (budget.length ? `\n\nBudget: ${budget.join(", ")}` : ""),
+              },
+            ],
+            structuredContent: summary,
+            metadata: {},
+          };
+        } catch (error) {
+          LOGGER.error("Error in getUsage:", error);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            metadata: {},
+            isError: true,
+          };
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,320 @@
+import { fetch, Response } from "undici";
+
+// Shared client for calls to the upstream API. Wraps fetch with:
+//
+// - a timeout for each attempt, until response headers arrive and then
+//   between chunks of the body, so a stalled stream is cut off too
+// - retries with exponential backoff and full jitter on 408, 409, 429, 5xx,
+//   timeouts and network errors, honoring retry-after and x-ratelimit-reset-*
+// - a pause for all callers of a provider once x-ratelimit-remaining-* hits
+//   0, up to a limit beyond which calls fail instead of waiting
+// - a limit on concurrent in-flight requests, each holding its slot until
+//   its body has been read
+// - a circuit breaker per provider that fails fast while the API is down
+//
+// Responses that are still failing after the last retry are returned to the
+// caller, which reports the error as before.
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+const MAX_BACKOFF_MS = 30 * 1000;
+
+// Parse OpenAI's rate limit durations such as "1s", "6m0s" or "250ms"
+export function parseDuration(value) {
+  if (!value) return undefined;
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : undefined;
+}
+
+// How long the server asked us to wait, in milliseconds
+export function retryDelayFromHeaders(headers, now = Date.now()) {
+  const retryAfterMs = Number(headers.get("retry-after-ms"));
+  if (retryAfterMs > 0) return retryAfterMs;
+
+  const retryAfter = headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const resets = [
+    parseDuration(headers.get("x-ratelimit-reset-requests")),
+    parseDuration(headers.get("x-ratelimit-reset-tokens")),
+  ].filter((ms) => ms !== undefined);
+  return resets.length ? Math.max(...resets) : undefined;
+}
+
+function upstreamError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.body = JSON.stringify({
+    error: { message, type: "api_error", param: null, code },
+  });
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createUpstreamClient({
+  timeoutMs = 60 * 1000,
+  maxPauseMs = 60 * 1000,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxConcurrency = 8,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30 * 1000,
+  log = () => {},
+} = {}) {
+  // Concurrency limiter: a counter plus a queue of waiting callers
+  let active = 0;
+  const waiting = [];
+
+  async function acquire() {
+    if (active < maxConcurrency) {
+      active += 1;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  }
+
+  // Per-provider state: circuit breaker and rate limit pause
+  const providers = new Map();
+
+  function stateFor(key) {
+    if (!providers.has(key)) {
+      providers.set(key, {
+        failures: 0,
+        openUntil: 0,
+        probing: false,
+        pausedUntil: 0,
+      });
+    }
+    return providers.get(key);
+  }
+
+  function checkCircuit(key, state) {
+    if (state.openUntil === 0) return;
+
+    const now = Date.now();
+    if (now < state.openUntil || state.probing) {
+      const seconds = Math.ceil(Math.max(0, state.openUntil - now) / 1000);
+      throw upstreamError(
+        `Upstream API for ${key} is unavailable after repeated failures; retry in ${seconds}s`,
+        503,
+        "circuit_open"
+      );
+    }
+
+    // Cooldown over: let this one request through to probe the API
+    state.probing = true;
+  }
+
+  function recordSuccess(state) {
+    state.failures = 0;
+    state.openUntil = 0;
+    state.probing = false;
+  }
+
+  function recordFailure(key, state) {
+    state.failures += 1;
+    if (state.probing || state.failures >= breakerThreshold) {
+      log(`Circuit open for ${key} after ${state.failures} failure(s)`);
+      state.openUntil = Date.now() + breakerCooldownMs;
+      state.probing = false;
+    }
+  }
+
+  // Remember when the provider said its request or token budget runs out
+  function recordRateLimits(state, headers) {
+    const exhausted = ["requests", "tokens"].filter(
+      (kind) => headers.get(`x-ratelimit-remaining-${kind}`) === "0"
+    );
+    if (exhausted.length === 0) return;
+
+    const waitMs = Math.max(
+      ...exhausted.map(
+        (kind) => parseDuration(headers.get(`x-ratelimit-reset-${kind}`)) || 0
+      )
+    );
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+  }
+
+  function backoff(attempt) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  // Pass a response body through, restarting the timeout on every chunk.
+  // `done` runs once the body has been read, cancelled, has failed or has
+  // been left unread for the length of the timeout.
+  function trackBody(response, controller, restartTimer, done) {
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      restartTimer(false);
+      done();
+    };
+    controller.signal.addEventListener("abort", finish);
+    if (!response.body) {
+      finish();
+      return response;
+    }
+
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+      async pull(stream) {
+        try {
+          const { done: ended, value } = await reader.read();
+          if (ended) {
+            finish();
+            stream.close();
+            return;
+          }
+          restartTimer(true);
+          stream.enqueue(value);
+        } catch (error) {
+          finish();
+          stream.error(
+            controller.signal.aborted
+              ? upstreamError(
+                  `Upstream response stalled for ${timeoutMs}ms`,
+                  504,
+                  "timeout"
+                )
+              : error
+          );
+        }
+      },
+      cancel(reason) {
+        finish();
+        return reader.cancel(reason);
+      },
+    });
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  async function attempt(url, init, done) {
+    const controller = new AbortController();
+    let timer;
+    const restartTimer = (running) => {
+      clearTimeout(timer);
+      if (running) timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    restartTimer(true);
+
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: controller.signal,
+      });
+      return trackBody(response, controller, restartTimer, done);
+    } catch (error) {
+      restartTimer(false);
+      const failure = controller.signal.aborted
+        ? upstreamError(
+            `Upstream request timed out after ${timeoutMs}ms`,
+            504,
+            "timeout"
+          )
+        : upstreamError(
+            `Upstream request failed: ${error.cause?.message || error.message}`,
+            502,
+            "network_error"
+          );
+      failure.retryable = true;
+      throw failure;
+    }
+  }
+
+  // Fetch with retries. `key` names the provider for breaker and rate limit
+  // state.
+  async function upstreamFetch(key, url, init) {
+    const state = stateFor(key);
+    checkCircuit(key, state);
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      const pause = state.pausedUntil - Date.now();
+      if (pause > maxPauseMs) {
+        throw upstreamError(
+          `Rate limit reached for ${key}; retry in ${Math.ceil(pause / 1000)}s`,
+          429,
+          "rate_limit_exceeded"
+        );
+      }
+      if (pause > 0) {
+        log(`Rate limit reached for ${key}, waiting ${pause}ms`);
+        await sleep(pause);
+      }
+
+      // The slot is released by the response once its body has been read
+      let response;
+      await acquire();
+      try {
+        response = await attempt(url, init, release);
+      } catch (error) {
+        release();
+        if (!error.retryable || attemptNumber >= maxRetries) {
+          recordFailure(key, state);
+          throw error;
+        }
+        log(`${error.message}; retry ${attemptNumber + 1}/${maxRetries}`);
+      }
+
+      if (!response) {
+        await sleep(backoff(attemptNumber));
+        continue;
+      }
+
+      recordRateLimits(state, response.headers);
+
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        recordSuccess(state);
+        return response;
+      }
+
+      // An exhausted quota will not recover by waiting, so do not retry it
+      const text = await response.text();
+      const finalResponse = new Response(text, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+      if (text.includes("insufficient_quota") || attemptNumber >= maxRetries) {
+        if (response.status >= 500) recordFailure(key, state);
+        else recordSuccess(state);
+        return finalResponse;
+      }
+
+      const delay = Math.min(
+        MAX_BACKOFF_MS,
+        retryDelayFromHeaders(response.headers) ?? backoff(attemptNumber)
+      );
+      log(
+        `Upstream returned ${response.status}; retry ${attemptNumber + 1}/${maxRetries} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+  }
+
+  return { fetch: upstreamFetch };
+}
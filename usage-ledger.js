@@ -0,0 +1,277 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Usage ledger: one JSON line per upstream call with its model, tokens,
+// estimated cost, caller, session and latency. Running totals for the
+// current UTC day and month back the optional budget caps.
+
+export const DEFAULT_LEDGER_PATH = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "usage.jsonl"
+);
+
+// USD per million tokens. Model ids returned by the API carry date suffixes
+// (gpt-4o-2024-08-06), so prices are matched on the longest prefix. Models
+// billed by another unit price it instead: `image` per image (by size, with
+// "hd " before the size for HD quality), `characters` per million characters
+// of speech input and `minute` per minute of transcribed audio.
+export const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "o1-mini": { input: 1.1, output: 4.4 },
+  o1: { input: 15, output: 60 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+  "text-embedding-3-large": { input: 0.13, output: 0 },
+  "text-embedding-ada-002": { input: 0.1, output: 0 },
+  // Text input; image inputs to edits are billed higher
+  "gpt-image-1": { input: 5, output: 40 },
+  "dall-e-3": {
+    image: {
+      "1024x1024": 0.04,
+      "1024x1792": 0.08,
+      "1792x1024": 0.08,
+      "hd 1024x1024": 0.08,
+      "hd 1024x1792": 0.12,
+      "hd 1792x1024": 0.12,
+    },
+  },
+  "dall-e-2": {
+    image: { "256x256": 0.016, "512x512": 0.018, "1024x1024": 0.02 },
+  },
+  "tts-1-hd": { characters: 30 },
+  "tts-1": { characters: 15 },
+  // Billed by tokens, but the speech endpoint reports none; about $0.015 a
+  // minute of audio
+  "gpt-4o-mini-tts": { characters: 15 },
+  "whisper-1": { minute: 0.006 },
+  "gpt-4o-mini-transcribe": { input: 3, output: 5 },
+  "gpt-4o-transcribe": { input: 6, output: 10 },
+};
+
+const GROUPS = ["model", "tool", "caller", "day"];
+
+function priceFor(prices, model) {
+  const key = Object.keys(prices)
+    .filter((prefix) => (model || "").startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : undefined;
+}
+
+// Cost before any discount of a call measured in images, characters or
+// seconds of audio rather than tokens, or undefined without a price for it
+function unitCost(price, usage) {
+  if (usage.images !== undefined) {
+    const image =
+      typeof price.image === "object"
+        ? price.image[
+            `${usage.quality === "hd" ? "hd " : ""}${usage.size || "1024x1024"}`
+          ]
+        : price.image;
+    return image !== undefined ? usage.images * image : undefined;
+  }
+  if (usage.characters !== undefined) {
+    return price.characters !== undefined
+      ? (usage.characters * price.characters) / 1e6
+      : undefined;
+  }
+  if (price.minute !== undefined && usage.seconds !== undefined) {
+    return (usage.seconds / 60) * price.minute;
+  }
+  if (price.input === undefined) return undefined;
+
+  const input = usage.prompt_tokens || usage.input_tokens || 0;
+  const output = usage.completion_tokens || usage.output_tokens || 0;
+  return (input * price.input + output * (price.output || 0)) / 1e6;
+}
+
+// Estimated cost in USD, or null when the model has no price for the call.
+// `discount` is the fraction taken off the listed prices (0.5 for the Batch
+// API).
+export function estimateCost(prices, model, usage = {}, discount = 0) {
+  const price = priceFor(prices, model);
+  const cost = price ? unitCost(price, usage) : undefined;
+  return cost === undefined ? null : cost * (1 - discount);
+}
+
+function budgetError(message) {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = "budget_exceeded";
+  return error;
+}
+
+export function createUsageLedger({
+  ledgerPath = DEFAULT_LEDGER_PATH,
+  prices = DEFAULT_PRICES,
+  dailyBudget,
+  monthlyBudget,
+  log = () => {},
+} = {}) {
+  let totals;
+
+  function readEntries() {
+    let text;
+    try {
+      text = fs.readFileSync(ledgerPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          // Skip a line truncated by a crash mid-write
+          return [];
+        }
+      });
+  }
+
+  // Spend per UTC day and month, loaded from the file on first use
+  function spendTotals() {
+    if (!totals) {
+      totals = { day: new Map(), month: new Map() };
+      for (const entry of readEntries()) addToTotals(entry);
+    }
+    return totals;
+  }
+
+  function addToTotals(entry) {
+    const cost = entry.cost || 0;
+    const day = entry.time.slice(0, 10);
+    const month = entry.time.slice(0, 7);
+    totals.day.set(day, (totals.day.get(day) || 0) + cost);
+    totals.month.set(month, (totals.month.get(month) || 0) + cost);
+  }
+
+  function currentSpend(now = new Date()) {
+    const iso = now.toISOString();
+    const { day, month } = spendTotals();
+    return {
+      day: day.get(iso.slice(0, 10)) || 0,
+      month: month.get(iso.slice(0, 7)) || 0,
+    };
+  }
+
+  // Throw before a call once the day's or month's spend reaches its cap
+  function checkBudget() {
+    const spend = currentSpend();
+    if (dailyBudget !== undefined && spend.day >= dailyBudget) {
+      throw budgetError(
+        `Daily budget of $${dailyBudget} reached ($${spend.day.toFixed(4)} spent today)`
+      );
+    }
+    if (monthlyBudget !== undefined && spend.month >= monthlyBudget) {
+      throw budgetError(
+        `Monthly budget of $${monthlyBudget} reached ($${spend.month.toFixed(4)} spent this month)`
+      );
+    }
+  }
+
+  function record({
+    tool,
+    model,
+    provider,
+    usage,
+    caller,
+    session,
+    latencyMs,
+    discount,
+  }) {
+    const entry = {
+      time: new Date().toISOString(),
+      tool,
+      model,
+      provider,
+      prompt_tokens: usage?.prompt_tokens || usage?.input_tokens || 0,
+      completion_tokens: usage?.completion_tokens || usage?.output_tokens || 0,
+      total_tokens: usage?.total_tokens || 0,
+      images: usage?.images,
+      characters: usage?.characters,
+      audio_seconds: usage?.seconds,
+      cost: estimateCost(prices, model, usage, discount),
+      caller,
+      session,
+      latency_ms: latencyMs,
+    };
+
+    spendTotals();
+    addToTotals(entry);
+
+    try {
+      fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+      fs.appendFileSync(ledgerPath, JSON.stringify(entry) + "\n");
+    } catch (error) {
+      log("Error writing usage ledger:", error.message);
+    }
+    return entry;
+  }
+
+  // Aggregate entries between `since` and `until` (ISO strings), grouped by
+  // model, tool, caller or day
+  function summarize({ since, until, groupBy = "model" } = {}) {
+    if (!GROUPS.includes(groupBy)) {
+      throw new Error(`groupBy must be one of ${GROUPS.join(", ")}`);
+    }
+
+    const groups = new Map();
+    const total = { requests: 0, tokens: 0, cost: 0, unpriced: 0 };
+
+    for (const entry of readEntries()) {
+      if (since && entry.time < since) continue;
+      if (until && entry.time >= until) continue;
+
+      const key =
+        groupBy === "day" ? entry.time.slice(0, 10) : entry[groupBy] || "";
+      const group = groups.get(key) || {
+        [groupBy]: key,
+        requests: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        cost: 0,
+        avg_latency_ms: 0,
+      };
+
+      group.avg_latency_ms =
+        (group.avg_latency_ms * group.requests + (entry.latency_ms || 0)) /
+        (group.requests + 1);
+      group.requests += 1;
+      group.prompt_tokens += entry.prompt_tokens;
+      group.completion_tokens += entry.completion_tokens;
+      group.cost += entry.cost || 0;
+      groups.set(key, group);
+
+      total.requests += 1;
+      total.tokens += entry.prompt_tokens + entry.completion_tokens;
+      total.cost += entry.cost || 0;
+      if (entry.cost === null) total.unpriced += 1;
+    }
+
+    return {
+      since,
+      until,
+      total,
+      groups: [...groups.values()].sort((a, b) => b.cost - a.cost),
+      budget: {
+        daily: dailyBudget,
+        monthly: monthlyBudget,
+        spent: currentSpend(),
+      },
+    };
+  }
+
+  return { checkBudget, record, summarize };
+}
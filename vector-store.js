@@ -0,0 +1,321 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { withLock, writeFileAtomic } from "./file-store.js";
+
+// Local on-disk vector index. Each collection is stored as one JSON file in
+// the store directory, holding its settings and every document's chunks with
+// their embeddings.
+
+const COLLECTION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const DEFAULT_VECTOR_STORE_DIR = path.join(
+  os.homedir(),
+  ".openai-mcp-server",
+  "vector-store"
+);
+
+function collectionPath(dir, name) {
+  if (!COLLECTION_NAME.test(name || "")) {
+    throw new Error(
+      "Collection name must be 1-64 characters of letters, digits, _ or -"
+    );
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+async function readCollection(dir, name) {
+  try {
+    return JSON.parse(
+      await fs.promises.readFile(collectionPath(dir, name), "utf8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Collection not found: ${name}`);
+    }
+    throw error;
+  }
+}
+
+async function writeCollection(dir, collection) {
+  await writeFileAtomic(
+    collectionPath(dir, collection.name),
+    JSON.stringify(collection)
+  );
+}
+
+function summarize(collection) {
+  const documents = Object.values(collection.documents);
+  return {
+    name: collection.name,
+    description: collection.description,
+    provider: collection.provider,
+    model: collection.model,
+    dimensions: collection.dimensions,
+    chunk_size: collection.chunk_size,
+    chunk_overlap: collection.chunk_overlap,
+    created: collection.created,
+    updated: collection.updated,
+    documents: documents.length,
+    chunks: documents.reduce((sum, doc) => sum + doc.chunks.length, 0),
+  };
+}
+
+// An overlap as long as the chunk would advance one character per chunk
+function checkChunking(size, overlap) {
+  if (overlap >= size) {
+    throw new Error("chunk_overlap must be smaller than chunk_size");
+  }
+}
+
+// Split text into overlapping chunks of roughly `size` characters, preferring
+// to break on whitespace
+export function chunkText(text, size, overlap) {
+  checkChunking(size, overlap);
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const breakAt = text.lastIndexOf(" ", end);
+      if (breakAt > start + size / 2) end = breakAt;
+    }
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+
+    // Start the next chunk on a word boundary inside the overlap window
+    let next = Math.max(end - overlap, start + 1);
+    const wordStart = text.indexOf(" ", next - 1);
+    if (next > 0 && text[next - 1] !== " " && wordStart !== -1) {
+      if (wordStart < end) next = wordStart + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Match document metadata against a filter. Plain values test equality;
+// objects may use $eq, $ne, $in, $nin, $gt, $gte, $lt and $lte
+export function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = metadata ? metadata[key] : undefined;
+
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+    if (Array.isArray(condition)) {
+      return condition.includes(value);
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case "$eq":
+          return value === operand;
+        case "$ne":
+          return value !== operand;
+        case "$in":
+          return Array.isArray(operand) && operand.includes(value);
+        case "$nin":
+          return Array.isArray(operand) && !operand.includes(value);
+        case "$gt":
+          return value > operand;
+        case "$gte":
+          return value >= operand;
+        case "$lt":
+          return value < operand;
+        case "$lte":
+          return value <= operand;
+        default:
+          throw new Error(`Unsupported filter operator: ${op}`);
+      }
+    });
+  });
+}
+
+export async function createCollection(dir, options) {
+  const file = collectionPath(dir, options.name);
+  checkChunking(options.chunk_size, options.chunk_overlap);
+
+  return withLock(file, async () => {
+    if (fs.existsSync(file)) {
+      throw new Error(`Collection already exists: ${options.name}`);
+    }
+
+    const now = new Date().toISOString();
+    const collection = {
+      name: options.name,
+      description: options.description || "",
+      provider: options.provider,
+      model: options.model,
+      dimensions: options.dimensions,
+      chunk_size: options.chunk_size,
+      chunk_overlap: options.chunk_overlap,
+      created: now,
+      updated: now,
+      documents: {},
+    };
+
+    await writeCollection(dir, collection);
+    return summarize(collection);
+  });
+}
+
+export async function listCollections(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const collections = [];
+  for (const file of files.filter((f) => f.endsWith(".json")).sort()) {
+    collections.push(summarize(await readCollection(dir, file.slice(0, -5))));
+  }
+  return collections;
+}
+
+export async function getCollection(dir, name) {
+  return readCollection(dir, name);
+}
+
+export async function deleteCollection(dir, name) {
+  const file = collectionPath(dir, name);
+
+  return withLock(file, async () => {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Collection not found: ${name}`);
+      }
+      throw error;
+    }
+  });
+}
+
+// Chunk and embed documents, then store them. `embed` receives an array of
+// chunk texts and resolves to one vector per chunk, in order. Documents with
+// an existing id are replaced.
+export async function addDocuments(dir, name, documents, embed) {
+  const file = collectionPath(dir, name);
+
+  return withLock(file, async () => {
+    const collection = await readCollection(dir, name);
+
+    const prepared = documents.map((doc, index) => {
+      if (typeof doc.text !== "string" || doc.text.trim() === "") {
+        throw new Error(`documents[${index}].text must be a non-empty string`);
+      }
+      return {
+        id: doc.id !== undefined ? String(doc.id) : randomUUID(),
+        metadata: doc.metadata || {},
+        texts: chunkText(
+          doc.text,
+          collection.chunk_size,
+          collection.chunk_overlap
+        ),
+      };
+    });
+
+    const vectors = await embed(prepared.flatMap((doc) => doc.texts));
+    let offset = 0;
+    const now = new Date().toISOString();
+
+    for (const doc of prepared) {
+      collection.documents[doc.id] = {
+        id: doc.id,
+        metadata: doc.metadata,
+        added: now,
+        chunks: doc.texts.map((text, index) => ({
+          index,
+          text,
+          embedding: vectors[offset + index],
+        })),
+      };
+      offset += doc.texts.length;
+    }
+
+    collection.updated = now;
+    await writeCollection(dir, collection);
+
+    return {
+      ids: prepared.map((doc) => doc.id),
+      chunks: offset,
+      collection: summarize(collection),
+    };
+  });
+}
+
+// Remove documents by id and/or by metadata filter; returns the removed ids
+export async function deleteDocuments(dir, name, { ids, filter }) {
+  const file = collectionPath(dir, name);
+
+  return withLock(file, async () => {
+    const collection = await readCollection(dir, name);
+    const removed = [];
+
+    for (const doc of Object.values(collection.documents)) {
+      const byId = ids && ids.map(String).includes(doc.id);
+      const byFilter = filter && matchesFilter(doc.metadata, filter);
+      if (byId || byFilter) {
+        delete collection.documents[doc.id];
+        removed.push(doc.id);
+      }
+    }
+
+    if (removed.length > 0) {
+      collection.updated = new Date().toISOString();
+      await writeCollection(dir, collection);
+    }
+    return removed;
+  });
+}
+
+// Rank every chunk whose document matches the filter by cosine similarity to
+// the query vector and return the best `topK`
+export function searchCollection(
+  collection,
+  vector,
+  { topK, filter, minScore }
+) {
+  const matches = [];
+
+  for (const doc of Object.values(collection.documents)) {
+    if (!matchesFilter(doc.metadata, filter)) continue;
+
+    for (const chunk of doc.chunks) {
+      const score = cosineSimilarity(vector, chunk.embedding);
+      if (minScore !== undefined && score < minScore) continue;
+      matches.push({
+        id: doc.id,
+        chunk: chunk.index,
+        score,
+        text: chunk.text,
+        metadata: doc.metadata,
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+}